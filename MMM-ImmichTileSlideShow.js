@@ -17,6 +17,18 @@
  * @property {string} [posterSrc] - Poster image for videos
  * @property {string} [takenAt]
  * @property {string} [albumName]
+ * @property {number} [server] - Index of the Immich server the media came from
+ * @property {string[]} [people] - Names of the people recognized in the media
+ * @property {string} [city]
+ * @property {string} [country]
+ * @property {string} [camera] - Camera make and model
+ * @property {string} [lens]
+ * @property {string} [description] - Description set in Immich
+ * @property {{x: number, y: number}} [focus] - Point to keep in the crop (faces), as fractions of width/height
+ * @property {boolean} [favorite] - Starred in Immich
+ * @property {number} [shownAt] - When the helper's display history last saw it shown (ms)
+ * @property {number} [weight] - Times shown per pass over the pool (boosted favorites, small merged servers)
+ * @property {string} [id] - Immich asset ID
  */
 
 Module.register("MMM-ImmichTileSlideShow", {
@@ -39,7 +51,8 @@ Module.register("MMM-ImmichTileSlideShow", {
 
     // Slideshow
     interval: 10000,
-    transition: "fade", // fade | slide
+    transition: "fade", // fade | slide | flip | zoom | blur | wipe | kenburns (fade plus `motion: true`)
+    transitionDirection: "up", // slide/wipe/flip: up | down | left | right
     transitionMs: 600,
     randomize: true,
     staggerMs: 250,
@@ -51,6 +64,12 @@ Module.register("MMM-ImmichTileSlideShow", {
     featured: true, // mosaic only; forced off for grid/frame
     videos: true,
     scroll: false,
+    motion: false, // Ken Burns pan-and-zoom in frame mode: { zoom, featured }
+    schedule: [], // [{ days, from: "HH:MM", to: "HH:MM", config: { ...overrides } }]
+    quietHours: false, // { from, to, days, action: "pause" | "blank" | "dim", dim }
+    refresh: false, // re-fetch the media pool every `intervalMinutes`
+    cache: false, // on-disk media cache for offline operation: { dir, maxMB }
+    history: false, // remember what was shown, least recently shown first: { cooldownDays, dir, name }
 
     // Rendering
     fullscreen: true,
@@ -60,18 +79,21 @@ Module.register("MMM-ImmichTileSlideShow", {
     // Media filters
     imageExtensions: "jpg,jpeg,png,gif,webp,heic",
     videoExtensions: "mp4,mov,m4v,webm,avi,mkv,3gp",
+    dedupe: true, // drop repeats and non-primary stack members: { stacks, burstSeconds }
 
     // Performance
     performance: {
       lightweight: false,
       maxTiles: 160,
       sizeCacheMax: 400,
-      sizeCacheTtlMinutes: 30
+      sizeCacheTtlMinutes: 30,
+      lookahead: 2 // swaps preloaded ahead of time; 0 swaps immediately
     },
 
     // Immich: one object, or an array of servers
     immich: null,
-    activeImmich: 0,
+    activeImmich: 0, // index into the array, or "all" to merge every server
+    failover: true, // with several servers: fall back down the list when the active one is down
 
     debug: false
   },
@@ -109,12 +131,15 @@ Module.register("MMM-ImmichTileSlideShow", {
     // Resolve the v2 config into its canonical shape. A v1 config throws here
     // with per-key migration guidance rather than silently rendering wrong.
     try {
-      this.cfg = MMMITSSConfig.normalize(this.config);
+      this._baseCfg = MMMITSSConfig.normalize(this.config);
     } catch (e) {
       this._configError = e.message;
       Log.error("MMM-ImmichTileSlideShow :: " + e.message);
       return;
     }
+    // `schedule` slots carry complete configs; `cfg` is whichever applies now.
+    this._slotIndex = MMMITSSConfig.activeSlot(this._baseCfg, new Date());
+    this.cfg = this._effectiveConfig();
 
     this.images = /** @type {TileImage[]} */ ([]);
     this.tileEls = [];
@@ -126,12 +151,23 @@ Module.register("MMM-ImmichTileSlideShow", {
     this._activeVideoCount = 0;
     this._imagePool = [];
     this._videoPool = [];
+    this._boost = { image: null, video: null };
+    /** @type {Map<string, number>} asset ID -> shown on this wall (ms), for the history cooldown */
+    this._shownAt = new Map();
     this._cadenceIndex = 0;
     this._cadenceSeq = null;
     this._sizeCache = new Map();
     this._sizeCacheTimer = null;
     this._initialFilled = false;
     this._fitPlan = null;
+    this._prefetch = [];
+    this._paused = false;
+    this._userPaused = false;
+    this._quiet = false;
+    // A resize during quiet hours, replayed when they end
+    this._relayoutOnWake = false;
+    /** @type {WeakMap<HTMLDivElement, {from: HTMLDivElement, to: HTMLDivElement, timer: number}>} running layer swaps */
+    this._swaps = new WeakMap();
 
     // Lightweight mode: no client-side behavioral changes beyond Immich asset preference.
 
@@ -139,10 +175,7 @@ Module.register("MMM-ImmichTileSlideShow", {
 
     // Ask the helper for data; it should respond with IMMICH_TILES_DATA.
     // The helper receives the already-normalized config so both sides agree.
-    this.sendSocketNotification("IMMICH_TILES_REGISTER", {
-      identifier: this.identifier,
-      config: this.cfg
-    });
+    this._register();
 
     // Create rendering root depending on mode
     if (this.cfg.fullscreen !== false) {
@@ -160,6 +193,13 @@ Module.register("MMM-ImmichTileSlideShow", {
       this._setDebugText('waiting for data');
     }
 
+    const configs = [this._baseCfg].concat(this._baseCfg.schedule.map((slot) => slot.config));
+    if (this._baseCfg.schedule.length || configs.some((c) => c.quietHours.enabled)) {
+      this._setQuiet(MMMITSSConfig.isQuiet(this.cfg, new Date()));
+      // Checked twice a minute so a boundary passes within ~30 s.
+      this._scheduleTimer = setInterval(() => this._checkSchedule(), 30 * 1000);
+    }
+
     // Periodic size cache clearing to bound memory
     const ttlMin = Number(this.cfg.performance.sizeCacheTtlMinutes) || 0;
     if (ttlMin > 0) {
@@ -201,18 +241,257 @@ Module.register("MMM-ImmichTileSlideShow", {
     return root;
   },
 
+  /**
+   * Remote control from other modules (MMM-Remote-Control, voice assistants).
+   * With several copies on the mirror, a payload `identifier` addresses one;
+   * without it every copy reacts.
+   * @param {string} notification
+   * @param {any} payload
+   */
+  notificationReceived(notification, payload) {
+    if (this._configError || typeof notification !== "string" || !notification.startsWith("IMMICH_TILES_")) return;
+    if (payload && typeof payload === "object" && payload.identifier && payload.identifier !== this.identifier) return;
+    const value = (key) => (payload && typeof payload === "object" && !Array.isArray(payload) ? payload[key] : payload);
+    switch (notification) {
+      case "IMMICH_TILES_PAUSE":
+        this._userPaused = true;
+        this._pause();
+        break;
+      case "IMMICH_TILES_RESUME":
+        this._userPaused = false;
+        if (this._quiet) this.log("resume ignored during quiet hours");
+        else this._resume();
+        break;
+      case "IMMICH_TILES_NEXT":
+        this._rotateOnce();
+        break;
+      case "IMMICH_TILES_SET_ALBUM":
+        this._setAlbum(value("album"));
+        break;
+      case "IMMICH_TILES_SET_MODE":
+        this._setMode(value("mode"));
+        break;
+      case "IMMICH_TILES_REFRESH":
+        this.log("refresh requested");
+        this.sendSocketNotification("IMMICH_TILES_REFRESH", { identifier: this.identifier });
+        break;
+      default:
+        break;
+    }
+  },
+
+  /** Freeze the wall: no swaps, scrolling holds still, videos pause. */
+  _pause() {
+    if (this._paused) return;
+    this._paused = true;
+    if (this._rotationTimer) clearInterval(this._rotationTimer);
+    this._rotationTimer = null;
+    this._eachVideo((v) => { try { v.pause(); } catch (_) {} });
+    this._setDebugText("paused");
+  },
+
+  _resume() {
+    if (!this._paused) return;
+    this._paused = false;
+    this._startRotation();
+    this._eachVideo((v) => {
+      if (!this.cfg.videos.autoplay || !v.paused || v.ended) return;
+      v.play().then(() => { this._activeVideoCount++; }).catch(() => {});
+    });
+    this._setDebugText(`media: ${this._imagePool.length} img, ${this._videoPool.length} vid`);
+  },
+
+  _eachVideo(fn) {
+    if (!this._container) return;
+    this._container.querySelectorAll("video.immich-tile-video").forEach(fn);
+  },
+
+  /**
+   * Switch the active Immich server(s) to `source: "album"` with the given
+   * album names or IDs and reload. An empty value restores the configured
+   * source.
+   * @param {string|string[]|null} album
+   */
+  _setAlbum(album) {
+    const albums = (Array.isArray(album) ? album : [album]).filter((a) => a != null && String(a).trim());
+    if (!this._configuredImmich) this._configuredImmich = this.config.immich;
+    let immich = this._configuredImmich;
+    if (albums.length) {
+      const active = this.config.activeImmich;
+      const retarget = (entry) => Object.assign({}, entry, { source: "album", album: albums });
+      immich = Array.isArray(immich)
+        ? immich.map((entry, i) => (active === "all" || i === (Number(active) || 0) ? retarget(entry) : entry))
+        : retarget(immich);
+    }
+    if (!this._reconfigure({ immich })) return;
+    this.log("album set to", albums.length ? albums : "(configured source)");
+    this._prefetch = [];
+    this._register();
+  },
+
+  /**
+   * (Re-)register with the helper, which then loads the pool for `cfg`.
+   * Registering resets the helper's state, so quiet hours are re-announced.
+   */
+  _register() {
+    this.sendSocketNotification("IMMICH_TILES_REGISTER", { identifier: this.identifier, config: this.cfg });
+    if (this._quiet) this.sendSocketNotification("IMMICH_TILES_QUIET", { identifier: this.identifier, quiet: true });
+  },
+
+  /**
+   * Switch the layout mode and rebuild the tiles from the current pool.
+   * @param {string} mode "mosaic" | "grid" | "frame"
+   */
+  _setMode(mode) {
+    if (!MMMITSSConfig.VALID_MODES.includes(mode)) {
+      Log.warn(`MMM-ImmichTileSlideShow :: ignoring unknown mode "${mode}"`);
+      return;
+    }
+    if (mode === this.cfg.mode || !this._reconfigure({ mode })) return;
+    this.log("mode set to", mode);
+    this._rebuildLayout();
+  },
+
+  /**
+   * Apply a change to the raw module config. The result goes through
+   * normalize() like the original config did.
+   * @param {object} patch top-level keys to replace
+   * @returns {boolean} false when the patched config is invalid
+   */
+  _reconfigure(patch) {
+    const next = Object.assign({}, this.config, patch);
+    try {
+      this._baseCfg = MMMITSSConfig.normalize(next);
+    } catch (e) {
+      Log.error("MMM-ImmichTileSlideShow :: " + e.message);
+      return false;
+    }
+    this.config = next;
+    this._slotIndex = MMMITSSConfig.activeSlot(this._baseCfg, new Date());
+    this.cfg = this._effectiveConfig();
+    return true;
+  },
+
+  /** The normalized config of the active schedule slot, or the base config. */
+  _effectiveConfig() {
+    const slot = this._baseCfg.schedule[this._slotIndex];
+    return slot ? slot.config : this._baseCfg;
+  },
+
+  /**
+   * Follow the clock: switch schedule slots once a start time passes, and
+   * enter or leave quiet hours. Layout changes rebuild the tiles; source
+   * changes re-register with the helper, which reloads from Immich. Either
+   * happens only when actually needed.
+   */
+  _checkSchedule() {
+    const now = new Date();
+    const index = MMMITSSConfig.activeSlot(this._baseCfg, now);
+    if (index !== this._slotIndex) this._switchSlot(index);
+    this._setQuiet(MMMITSSConfig.isQuiet(this.cfg, now));
+  },
+
+  /**
+   * Make schedule slot `index` (-1: the base config) the active config.
+   * @param {number} index
+   */
+  _switchSlot(index) {
+    const prev = this.cfg;
+    this._slotIndex = index;
+    this.cfg = this._effectiveConfig();
+    this.log("schedule slot", index < 0 ? "(base)" : index);
+    // Keys the helper acts on; everything else only affects rendering.
+    const helperKeys = ["immich", "activeImmich", "mergeImmich", "failover", "refresh", "cache", "imageExtensions", "videoExtensions", "dedupe", "history"];
+    const pick = (c, keep) => JSON.stringify(Object.keys(c)
+      .filter((k) => k !== "schedule" && keep === helperKeys.includes(k))
+      .map((k) => [k, c[k]]));
+    if (pick(prev, false) !== pick(this.cfg, false)) this._rebuildLayout();
+    if (pick(prev, true) !== pick(this.cfg, true) || prev.videos.enabled !== this.cfg.videos.enabled) {
+      this._prefetch = [];
+      this._register();
+    }
+  },
+
+  /**
+   * Enter or leave quiet hours. Every action stops swaps, videos and
+   * scrolling, so nothing is pulled through the media proxy (relayouts and
+   * featured reshuffles, which refill tiles, wait too), and suspends the
+   * helper's refresh; `blank` also hides the wall and `dim` darkens it.
+   * A remote PAUSE stays in force after quiet hours end.
+   * @param {boolean} quiet
+   */
+  _setQuiet(quiet) {
+    if (quiet === this._quiet) return;
+    this._quiet = quiet;
+    this.log(quiet ? "quiet hours start" : "quiet hours end");
+    this.sendSocketNotification("IMMICH_TILES_QUIET", { identifier: this.identifier, quiet });
+    if (quiet) this._pause();
+    else if (!this._userPaused) this._resume();
+    this._applyQuietLook();
+    if (!quiet && this._relayoutOnWake) {
+      this._relayoutOnWake = false;
+      this._recalculateTiles();
+    }
+  },
+
+  /**
+   * Apply (or lift) the quiet-hours look on the root element.
+   * @param {HTMLElement} [root]
+   */
+  _applyQuietLook(root = this._root) {
+    if (!root) return;
+    const action = this._quiet ? this.cfg.quietHours.action : null;
+    root.classList.toggle("quiet-blank", action === "blank");
+    root.style.setProperty("--mmmitss-overlay", String(action === "dim" ? this.cfg.quietHours.dim : this.cfg.dim));
+  },
+
+  /** Tear the tile wall down and build it again for a new layout. */
+  _rebuildLayout() {
+    this._stopScroll();
+    this._unbindResize();
+    if (this._featuredTimer) clearInterval(this._featuredTimer);
+    this._featuredTimer = null;
+    if (this._mmObserver) {
+      try { this._mmObserver.disconnect(); } catch (_) {}
+      this._mmObserver = null;
+    }
+    try {
+      if (this._root && this._root.parentNode) this._root.parentNode.removeChild(this._root);
+    } catch (_) {}
+    this._root = null;
+    this._container = null;
+    this.tileEls = [];
+    this._fitPlan = null;
+    this._prefetch = [];
+    this._activeVideoCount = 0;
+    if (this.cfg.fullscreen !== false) {
+      this._ensureRootFullscreen();
+      this._fillTilesInitial();
+      this._initialFilled = true;
+    } else {
+      // getDom() builds and fills the inline root again.
+      this._initialFilled = false;
+      this.updateDom();
+    }
+    this._startRotation();
+  },
+
   /**
    * Handle notifications from node_helper.
    * @param {string} notification
    * @param {any} payload
    */
   socketNotificationReceived(notification, payload) {
+    // The helper is shared by every copy of this module on the mirror and
+    // broadcasts to all of them; only act on what was addressed to us.
+    if (payload && payload.identifier && payload.identifier !== this.identifier) return;
     if (notification === "IMMICH_TILES_DATA" && payload && Array.isArray(payload.images)) {
       this.log("received images:", payload.images.length);
       this.images = payload.images;
       this._splitMedia();
       this._cadenceIndex = 0;
       this._cadenceSeq = null;
+      this._prefetch = [];
       this._fillTilesInitial();
       this._startRotation();
       this._started = true;
@@ -230,11 +509,50 @@ Module.register("MMM-ImmichTileSlideShow", {
         if (k === 'video') this._videoPool.push(m);
         else this._imagePool.push(m);
       }
+      this._buildBoost();
+      this._setDebugText(`media: ${this._imagePool.length} img, ${this._videoPool.length} vid`);
+    } else if (notification === "IMMICH_TILES_UPDATE" && payload) {
+      // Periodic refresh: the helper sends only what changed, so tiles already
+      // on screen keep their media and rotation carries on uninterrupted.
+      const added = Array.isArray(payload.added) ? payload.added : [];
+      const removed = Array.isArray(payload.removed) ? payload.removed : [];
+      this.log("pool update: +" + added.length + " / -" + removed.length);
+      this._applyPoolUpdate(added, removed);
       this._setDebugText(`media: ${this._imagePool.length} img, ${this._videoPool.length} vid`);
     }
   },
 
-  // (No active refresh request; media refresh is driven by config changes or module restarts)
+  /**
+   * Merge a refresh diff into the media pools. Removed media are dropped
+   * without touching the tiles currently showing them; new media are queued
+   * at the rotation cursor so they appear within the next few swaps instead
+   * of after a full pass over the album.
+   * @param {TileImage[]} added
+   * @param {string[]} removed src keys
+   */
+  _applyPoolUpdate(added, removed) {
+    const gone = new Set(removed);
+    const merge = (pool, cursor, incoming) => {
+      let next = cursor;
+      const kept = [];
+      pool.forEach((m, i) => {
+        if (!gone.has(m.src)) kept.push(m);
+        else if (i < cursor) next--;
+      });
+      next = kept.length ? Math.max(0, next) % kept.length : 0;
+      kept.splice(next, 0, ...incoming);
+      return { pool: kept, cursor: next };
+    };
+    const img = merge(this._imagePool || [], this._nextImageIndex, added.filter((m) => (m && m.kind) !== 'video'));
+    const vid = merge(this._videoPool || [], this._nextVideoIndex, added.filter((m) => m && m.kind === 'video'));
+    this._imagePool = img.pool;
+    this._nextImageIndex = img.cursor;
+    this._videoPool = vid.pool;
+    this._nextVideoIndex = vid.cursor;
+    this._buildBoost();
+    this.images = (this.images || []).filter((m) => !gone.has(m.src)).concat(added);
+    this._prefetch = this._prefetch.filter((entry) => !entry.media || !gone.has(entry.media.src));
+  },
 
   /**
    * Create a tile element with inner structure.
@@ -246,10 +564,17 @@ Module.register("MMM-ImmichTileSlideShow", {
 
     const media = document.createElement("div");
     media.className = "immich-tile-media";
-    // background-image for images via child .immich-tile-img
-    const img = document.createElement("div");
-    img.className = "immich-tile-img";
-    media.appendChild(img);
+    // Two stacked layers: a swap loads the hidden one, then the transition
+    // crosses from the visible layer to it. Each holds a background-image
+    // child (.immich-tile-img) and, for videos, a <video>.
+    for (let i = 0; i < 2; i++) {
+      const layer = document.createElement("div");
+      layer.className = i === 0 ? "immich-tile-layer active" : "immich-tile-layer";
+      const img = document.createElement("div");
+      img.className = "immich-tile-img";
+      layer.appendChild(img);
+      media.appendChild(layer);
+    }
     tile.appendChild(media);
 
     const caption = document.createElement("div");
@@ -337,8 +662,16 @@ Module.register("MMM-ImmichTileSlideShow", {
     // Tile backdrop is styled purely via CSS in v2 (no backgroundColor option).
     wrapper.style.setProperty("--mmmitss-fit", this.cfg.fit);
     wrapper.style.setProperty("--mmmitss-transition", `${this.cfg.transitionMs}ms`);
-    wrapper.classList.toggle("transition-fade", (this.cfg.transition || "fade") === "fade");
-    wrapper.classList.toggle("transition-slide", (this.cfg.transition || "fade") === "slide");
+    wrapper.classList.add(`transition-${this.cfg.transition || "fade"}`);
+    // Direction for slide/wipe/flip as a unit vector: where the incoming
+    // media starts, relative to the tile.
+    const vectors = { up: [0, 1], down: [0, -1], left: [1, 0], right: [-1, 0] };
+    const [dx, dy] = vectors[this.cfg.transitionDirection] || vectors.up;
+    wrapper.style.setProperty("--mmmitss-dx", `${dx * 100}%`);
+    wrapper.style.setProperty("--mmmitss-dy", `${dy * 100}%`);
+    wrapper.style.setProperty("--mmmitss-wipe", `inset(${dy > 0 ? 100 : 0}% ${dx < 0 ? 100 : 0}% ${dy < 0 ? 100 : 0}% ${dx > 0 ? 100 : 0}%)`);
+    wrapper.style.setProperty("--mmmitss-flip-x", String(Math.abs(dy)));
+    wrapper.style.setProperty("--mmmitss-flip-y", String(Math.abs(dx)));
     if (this.cfg.debug) wrapper.classList.add('debug');
 
     this.tileEls = [];
@@ -352,12 +685,17 @@ Module.register("MMM-ImmichTileSlideShow", {
     }
 
     root.appendChild(wrapper);
-    // Darkening overlay
-    root.style.setProperty('--mmmitss-overlay', String(this.cfg.dim));
+    // Darkening overlay (deeper during quiet hours with `action: "dim"`)
+    this._applyQuietLook(root);
     const overlay = document.createElement('div');
     overlay.className = 'immich-tiles-overlay';
     overlay.setAttribute('aria-hidden', 'true');
     root.appendChild(overlay);
+    // Title of the memory on screen (captions.memoryHeader)
+    const header = document.createElement('div');
+    header.className = 'immich-tiles-memory-header';
+    header.style.display = 'none';
+    root.appendChild(header);
     // Optional debug label
     const dbg = document.createElement('div');
     dbg.className = 'immich-tiles-debug';
@@ -394,30 +732,134 @@ Module.register("MMM-ImmichTileSlideShow", {
    */
   _startRotation() {
     if (this._rotationTimer) clearInterval(this._rotationTimer);
-    this._rotationTimer = setInterval(() => {
-      if (!this.tileEls.length) return;
-      const pickIndex = () => (this.cfg.randomize
-        ? Math.floor(Math.random() * this.tileEls.length)
-        : Math.floor(Date.now() / this.cfg.interval) % this.tileEls.length);
-      let tile = null;
-      let media;
-      if (this._fitPlan) {
-        // Fitted mosaic: choose the tile first so the photo can be matched to
-        // that slot's aspect ratio.
-        tile = this.tileEls[pickIndex()];
-        media = this.images && this.images.length ? this._nextImageForTile(tile) : this._placeholderImage(0);
-        if (media && media.kind === 'video' && this.cfg.videos.enabled) {
-          tile = this._pickTileForVideo() || tile;
-        }
+    this._rotationTimer = null;
+    if (this._paused) return;
+    this._rotationTimer = setInterval(() => this._rotateOnce(), Math.max(1000, this.cfg.interval));
+  },
+
+  /**
+   * One rotation tick. With a lookahead configured, only swap in media that
+   * has already been downloaded and decoded; a tile keeps its current photo
+   * rather than flashing black on a slow link. The queue only holds media:
+   * the tile is chosen here, when the swap actually happens.
+   */
+  _rotateOnce() {
+    if (!this.tileEls.length) return;
+    const depth = this.cfg.performance.lookahead;
+    if (!depth || !this.images || !this.images.length) {
+      const swap = this._planSwap();
+      this._applyTile(swap.tile, swap.media, true);
+      return;
+    }
+    this._fillPrefetch();
+    // Failed downloads are dropped; the tile they were meant for simply
+    // waits for a later swap.
+    this._prefetch = this._prefetch.filter((entry) => !entry.failed);
+    const idx = this._prefetch.findIndex((entry) => entry.ready);
+    if (idx < 0) {
+      this.log('next media still decoding; holding swap');
+    } else {
+      const entry = this._prefetch.splice(idx, 1)[0];
+      this._applyTile(this._pickTile(entry.media), entry.media, true);
+    }
+    this._fillPrefetch();
+  },
+
+  /**
+   * Decide the next swap: which tile changes and what it shows.
+   * @returns {{tile: HTMLDivElement, media: TileImage}}
+   */
+  _planSwap() {
+    const pickIndex = () => this._pickTileIndex();
+    let tile = null;
+    let media;
+    if (this._fitPlan) {
+      // Fitted mosaic: choose the tile first so the photo can be matched to
+      // that slot's aspect ratio.
+      tile = this.tileEls[pickIndex()];
+      media = this.images && this.images.length ? this._nextImageForTile(tile) : this._placeholderImage(0);
+      if (media && media.kind === 'video' && this.cfg.videos.enabled) {
+        tile = this._pickTileForVideo() || tile;
+      }
+    } else {
+      media = this.images && this.images.length ? this._nextImage() : this._placeholderImage(0);
+      if (media && media.kind === 'video' && this.cfg.videos.enabled) {
+        tile = this._pickTileForVideo();
+      }
+      if (!tile) tile = this.tileEls[pickIndex()];
+    }
+    return { tile, media };
+  },
+
+  /** Index of the tile to change this tick: random, or each in turn. */
+  _pickTileIndex() {
+    return this.cfg.randomize
+      ? Math.floor(Math.random() * this.tileEls.length)
+      : Math.floor(Date.now() / this.cfg.interval) % this.tileEls.length;
+  },
+
+  /**
+   * Tile for a prefetched media item, chosen at swap time. Videos go to the
+   * tile picked for playback; in a fitted mosaic a few random candidates are
+   * compared with the photo's aspect ratio, as _nextImageForTile() would.
+   * @param {TileImage} media
+   * @returns {HTMLDivElement}
+   */
+  _pickTile(media) {
+    if (media && media.kind === 'video' && this.cfg.videos.enabled) {
+      const tile = this._pickTileForVideo();
+      if (tile) return tile;
+    }
+    if (!this._fitPlan || !this.cfg.randomize || !media || media.kind === 'video') return this.tileEls[this._pickTileIndex()];
+    let best = null;
+    let bestCost = Infinity;
+    for (let k = 0; k < 4; k++) {
+      const tile = this.tileEls[this._pickTileIndex()];
+      const target = parseFloat((tile.dataset && tile.dataset.slotAspect) || '');
+      const cost = Number.isFinite(target) && target > 0 ? this._ratioCost(media, target) : null;
+      if (!best || (cost !== null && cost < bestCost)) {
+        best = tile;
+        if (cost !== null) bestCost = cost;
+      }
+    }
+    return best;
+  },
+
+  /**
+   * Top the lookahead queue up to `performance.lookahead` upcoming media,
+   * each preloading its image (or video poster) into a decoded Image object.
+   */
+  _fillPrefetch() {
+    const depth = this.cfg.performance.lookahead;
+    while (this._prefetch.length < depth && this.tileEls.length) {
+      const media = this._nextImage();
+      const entry = { media, img: null, ready: false, failed: false };
+      const url = media && (media.kind === 'video' ? media.posterSrc : media.src);
+      if (!url) {
+        entry.ready = true;
       } else {
-        media = this.images && this.images.length ? this._nextImage() : this._placeholderImage(0);
-        if (media && media.kind === 'video' && this.cfg.videos.enabled) {
-          tile = this._pickTileForVideo();
-        }
-        if (!tile) tile = this.tileEls[pickIndex()];
+        const img = new Image();
+        img.decoding = 'async';
+        img.src = url;
+        // Hold the reference until the swap: it keeps the decoded bitmap alive.
+        entry.img = img;
+        const decoded = typeof img.decode === 'function'
+          ? img.decode()
+          : new Promise((resolve, reject) => { img.onload = resolve; img.onerror = reject; });
+        decoded.then(() => {
+          entry.ready = true;
+          // Free aspect ratio for span/slot matching, without a second probe.
+          const w = img.naturalWidth;
+          const h = img.naturalHeight;
+          if (w && h && this._sizeCache && !this._sizeCache.has(url)) {
+            try { this._sizeCache.set(url, w / h); } catch (_) {}
+          }
+        }, () => {
+          entry.failed = true;
+        });
       }
-      this._applyTile(tile, media, true);
-    }, Math.max(1000, this.cfg.interval));
+      this._prefetch.push(entry);
+    }
   },
 
   /**
@@ -430,20 +872,78 @@ Module.register("MMM-ImmichTileSlideShow", {
     const hasVideos = this._videoPool && this._videoPool.length > 0 && this.cfg.videos.enabled;
     if (!hasImages && !hasVideos) return this._placeholderImage(0);
     const kind = this._selectMediaKind();
-    if (kind === 'video' && hasVideos) {
-      const v = this._videoPool[this._nextVideoIndex % this._videoPool.length];
-      this._nextVideoIndex = (this._nextVideoIndex + 1) % this._videoPool.length;
-      return v;
+    if (kind === 'video' && hasVideos) return this._takeFromPool('video');
+    if (hasImages) return this._takeFromPool('image');
+    // fallback to videos if no images
+    return this._takeFromPool('video');
+  },
+
+  /**
+   * Next item of the image or video pool. The pool is walked in order;
+   * boosted favorites are slotted in between so each appears `weight` times
+   * per pass. The cadence already picked the kind, so boosting never changes
+   * the image:video ratio. With display history, the walk skips media still
+   * cooling down; boosted repeats are exempt, being the point of the boost.
+   * @param {"image"|"video"} kind
+   * @returns {TileImage}
+   */
+  _takeFromPool(kind) {
+    const pool = kind === 'video' ? this._videoPool : this._imagePool;
+    const boost = this._boost[kind];
+    this._lastBoosted = null;
+    if (boost) {
+      // Spread the extra picks evenly: `list.length` of every
+      // `pool.length + list.length` picks come from the boost list.
+      boost.credit += boost.list.length / (pool.length + boost.list.length);
+      const m = boost.list[boost.cursor % boost.list.length];
+      // Never repeat the previous pick; the credit carries to the next call.
+      if (boost.credit >= 1 && m !== boost.last) {
+        boost.credit -= 1;
+        boost.cursor = (boost.cursor + 1) % boost.list.length;
+        boost.last = m;
+        this._lastBoosted = m;
+        return m;
+      }
     }
-    if (hasImages) {
-      const im = this._imagePool[this._nextImageIndex % this._imagePool.length];
-      this._nextImageIndex = (this._nextImageIndex + 1) % this._imagePool.length;
-      return im;
+    const cursor = kind === 'video' ? '_nextVideoIndex' : '_nextImageIndex';
+    let idx = this[cursor] % pool.length;
+    if (this.cfg.history.enabled) {
+      // Skip media still cooling down; once everything is, the pool's
+      // least-recently-shown order carries on as is.
+      for (let k = 0; k < pool.length; k++) {
+        const j = (idx + k) % pool.length;
+        if (!this._cooling(pool[j])) {
+          idx = j;
+          break;
+        }
+      }
     }
-    // fallback to videos if no images
-    const v = this._videoPool[this._nextVideoIndex % this._videoPool.length];
-    this._nextVideoIndex = (this._nextVideoIndex + 1) % this._videoPool.length;
-    return v;
+    const m = pool[idx];
+    this[cursor] = (idx + 1) % pool.length;
+    if (boost) boost.last = m;
+    return m;
+  },
+
+  /**
+   * Rebuild the extra picks of boosted favorites (`weight` > 1) after the
+   * pools changed. A favorite with weight 3 is listed in the first two
+   * rounds, so repeats of one photo sit a round apart instead of back to back.
+   */
+  _buildBoost() {
+    const build = (pool, prev) => {
+      const weighted = pool.filter((m) => Number(m.weight) > 1);
+      if (!weighted.length) return null;
+      const rounds = Math.max(...weighted.map((m) => Math.round(m.weight))) - 1;
+      const list = [];
+      for (let r = 1; r <= rounds; r++) {
+        for (const m of weighted) if (Math.round(m.weight) - 1 >= r) list.push(m);
+      }
+      return { list, cursor: prev ? prev.cursor % list.length : 0, credit: prev ? prev.credit : 0, last: prev ? prev.last : null };
+    };
+    this._boost = {
+      image: build(this._imagePool || [], this._boost && this._boost.image),
+      video: build(this._videoPool || [], this._boost && this._boost.video)
+    };
   },
 
   /**
@@ -456,6 +956,8 @@ Module.register("MMM-ImmichTileSlideShow", {
   _nextImageForTile(tile) {
     const media = this._nextImage();
     if (!this._fitPlan || !tile || !media || media.kind === 'video') return media;
+    // A boosted pick is the point of the boost; don't trade it for a better shape.
+    if (media === this._lastBoosted) return media;
     const target = parseFloat((tile.dataset && tile.dataset.slotAspect) || '');
     if (!Number.isFinite(target) || target <= 0) return media;
     const pool = this._imagePool;
@@ -464,12 +966,16 @@ Module.register("MMM-ImmichTileSlideShow", {
     // _nextImage() already advanced past `media`; scan a short window ahead for
     // a better-shaped photo and consume that one instead. Bounded so rotation
     // still walks the whole album rather than replaying the same few photos.
+    // A memory's photos stay together, so the window never reaches past it.
     const WINDOW = Math.min(12, pool.length);
+    const memoryId = media.memory ? media.memory.id : null;
     let bestIdx = -1;
     let bestCost = this._ratioCost(media, target);
     if (bestCost === null) bestCost = Infinity;
     for (let k = 0; k < WINDOW; k++) {
       const idx = (this._nextImageIndex + k) % pool.length;
+      if (memoryId && !(pool[idx].memory && pool[idx].memory.id === memoryId)) break;
+      if (this._cooling(pool[idx])) continue;
       const cost = this._ratioCost(pool[idx], target);
       if (cost !== null && cost < bestCost) {
         bestCost = cost;
@@ -515,6 +1021,8 @@ Module.register("MMM-ImmichTileSlideShow", {
       if (k === 'video') this._videoPool.push(m);
       else this._imagePool.push(m);
     }
+    this._boost = { image: null, video: null };
+    this._buildBoost();
   },
 
   // No client-side media pool cap; all received media may be used
@@ -559,27 +1067,96 @@ Module.register("MMM-ImmichTileSlideShow", {
   },
 
   /**
-   * Apply image and caption to a tile, with optional transition class.
+   * Queue a media item for the helper's display history. Reports go out in
+   * batches, so a full initial fill is one notification rather than dozens.
+   * @param {TileImage} image
+   */
+  _noteShown(image) {
+    if (!this.cfg.history.enabled || !image || !image.id) return;
+    this._shownAt.set(image.id, Date.now());
+    if (!this._shownIds) this._shownIds = [];
+    this._shownIds.push(image.id);
+    if (!this._shownTimer) this._shownTimer = setTimeout(() => this._flushShown(), 5000);
+  },
+
+  /**
+   * True while a media item is inside `history.cooldownDays` of being shown,
+   * on this wall or (per the helper's history) before the pool was loaded.
+   * @param {TileImage} media
+   * @returns {boolean}
+   */
+  _cooling(media) {
+    if (!this.cfg.history.enabled || !media || !media.id) return false;
+    const at = this._shownAt.get(media.id) || media.shownAt || 0;
+    return at > 0 && Date.now() - at < this.cfg.history.cooldownDays * 24 * 60 * 60 * 1000;
+  },
+
+  _flushShown() {
+    if (this._shownTimer) clearTimeout(this._shownTimer);
+    this._shownTimer = null;
+    if (!this._shownIds || !this._shownIds.length) return;
+    this.sendSocketNotification("IMMICH_TILES_SHOWN", { identifier: this.identifier, ids: this._shownIds });
+    this._shownIds = [];
+  },
+
+  /**
+   * Apply image and caption to a tile. Animated swaps load the media into
+   * the hidden layer and cross over to it with the configured transition;
+   * the initial fill and scroll recycling replace the visible layer in place.
    * @param {HTMLDivElement} tile
    * @param {TileImage} image
    * @param {boolean} [animate]
    */
   _applyTile(tile, image, animate = false) {
-    const imgEl = tile.querySelector(".immich-tile-img");
-    let vidEl = tile.querySelector("video.immich-tile-video");
+    const layers = tile.querySelectorAll(".immich-tile-layer");
     const capEl = tile.querySelector(".immich-tile-caption");
-    if (!imgEl || !capEl) return;
+    if (layers.length < 2 || !capEl) return;
+
+    // A swap still running on this tile ends now, freeing its hidden layer.
+    this._finishSwap(tile);
+    const current = tile.querySelector(".immich-tile-layer.active") || layers[0];
+    const crossover = animate && this.cfg.transitionMs > 0;
+    const layer = crossover ? (current === layers[0] ? layers[1] : layers[0]) : current;
+
+    this._fillLayer(layer, image);
+    this._applyMotion(tile, layer, image);
+    this._noteShown(image);
+    this._setMemoryHeader(image);
+
+    // Caption
+    if (this.cfg.captions.enabled) {
+      const text = this._buildCaption(image);
+      if (text) {
+        capEl.textContent = text;
+        capEl.style.display = "block";
+      } else {
+        capEl.textContent = "";
+        capEl.style.display = "none";
+      }
+    } else {
+      capEl.textContent = "";
+      capEl.style.display = "none";
+    }
+
+    if (crossover) this._swapLayers(tile, current, layer);
+
+    // Adjust mosaic spans by orientation
+    this._applyMosaicSpans(tile, image);
+  },
+
+  /**
+   * Put an image or video into one layer of a tile.
+   * @param {HTMLDivElement} layer
+   * @param {TileImage} image
+   */
+  _fillLayer(layer, image) {
+    const imgEl = layer.querySelector(".immich-tile-img");
+    let vidEl = layer.querySelector("video.immich-tile-video");
 
     // Tear down any prior video element if switching kinds
     if (vidEl && image.kind !== 'video') {
-      try {
-        vidEl.pause();
-        vidEl.removeAttribute('src');
-        vidEl.load();
-      } catch (e) {}
-      vidEl.remove();
+      this._removeVideo(vidEl);
       vidEl = null;
-      this._activeVideoCount = Math.max(0, this._activeVideoCount - 1);
     }
 
     if (image.kind === 'video' && this.cfg.videos.enabled) {
@@ -591,9 +1168,7 @@ Module.register("MMM-ImmichTileSlideShow", {
         vidEl.playsInline = true;
         vidEl.autoplay = !!this.cfg.videos.autoplay;
         vidEl.preload = String(this.cfg.videos.preload || 'metadata');
-        // place into media container
-        const media = tile.querySelector('.immich-tile-media') || tile;
-        media.appendChild(vidEl);
+        layer.appendChild(vidEl);
       }
       // set sources/poster
       if (image.posterSrc) vidEl.poster = image.posterSrc;
@@ -617,32 +1192,89 @@ Module.register("MMM-ImmichTileSlideShow", {
       imgEl.style.backgroundImage = `url('${image.src}')`;
     }
 
-    // Caption
-    if (this.cfg.captions.enabled) {
-      const text = this._buildCaption(image);
-      if (text) {
-        capEl.textContent = text;
-        capEl.style.display = "block";
-      } else {
-        capEl.textContent = "";
-        capEl.style.display = "none";
-      }
-    } else {
-      capEl.textContent = "";
-      capEl.style.display = "none";
-    }
+    // Face-aware crop. At "p% p%" the photo's p% point lines up with the
+    // tile's p% point, so the focus stays inside the crop however the tile
+    // is shaped. `contain` shows the whole photo, which stays centered.
+    const position = image.focus && this.cfg.fit === "cover" ? `${image.focus.x * 100}% ${image.focus.y * 100}%` : "";
+    imgEl.style.backgroundPosition = position;
+    if (vidEl) vidEl.style.objectPosition = position;
+  },
 
-    if (animate) {
-      tile.classList.remove("swap");
-      // force reflow to restart animation
-      // eslint-disable-next-line no-unused-expressions
-      void tile.offsetWidth;
-      tile.classList.add("swap");
-      setTimeout(() => tile.classList.remove("swap"), Math.max(200, this.cfg.transitionMs));
-    }
+  _removeVideo(vidEl) {
+    try {
+      vidEl.pause();
+      vidEl.removeAttribute('src');
+      vidEl.load();
+    } catch (e) {}
+    vidEl.remove();
+    this._activeVideoCount = Math.max(0, this._activeVideoCount - 1);
+  },
 
-    // Adjust mosaic spans by orientation
-    this._applyMosaicSpans(tile, image);
+  /**
+   * Cross from the visible layer to the freshly filled one. Both animate at
+   * once (`leaving` / `entering`), so the old media really fades, slides or
+   * flips out while the new one comes in.
+   * @param {HTMLDivElement} tile
+   * @param {HTMLDivElement} from
+   * @param {HTMLDivElement} to
+   */
+  _swapLayers(tile, from, to) {
+    from.classList.remove("active");
+    from.classList.add("leaving");
+    to.classList.add("active", "entering");
+    const timer = setTimeout(() => this._finishSwap(tile), Math.max(200, this.cfg.transitionMs));
+    this._swaps.set(tile, { from, to, timer });
+  },
+
+  /**
+   * End a running swap: drop the transition classes and empty the outgoing
+   * layer so its video stops and its image can be released.
+   * @param {HTMLDivElement} tile
+   */
+  _finishSwap(tile) {
+    const swap = this._swaps.get(tile);
+    if (!swap) return;
+    clearTimeout(swap.timer);
+    this._swaps.delete(tile);
+    swap.from.classList.remove("leaving", "kenburns");
+    swap.to.classList.remove("entering");
+    const vidEl = swap.from.querySelector("video.immich-tile-video");
+    if (vidEl) this._removeVideo(vidEl);
+    const imgEl = swap.from.querySelector(".immich-tile-img");
+    if (imgEl) imgEl.style.backgroundImage = "";
+  },
+
+  /**
+   * Start a Ken Burns pan-and-zoom for the photo just placed in a layer, or
+   * stop a previous one. Runs on the frame tile, and on featured tiles when
+   * `motion.featured` is set; lasts for the photo's expected time on screen.
+   * @param {HTMLDivElement} tile
+   * @param {HTMLDivElement} layer the tile layer holding the photo
+   * @param {TileImage} image
+   */
+  _applyMotion(tile, layer, image) {
+    const motion = this.cfg.motion;
+    layer.classList.remove("kenburns");
+    const featured = tile.dataset && tile.dataset.featured === "1";
+    if (!motion.enabled || image.kind === "video" || !(this.cfg.mode === "frame" || (motion.featured && featured))) return;
+    const imgEl = layer.querySelector(".immich-tile-img");
+    // Zoom in or out at random. At scale s the photo overhangs the tile by
+    // (s-1)/2 on each side, so panning within that never exposes an edge.
+    const scales = Math.random() < 0.5 ? [1, motion.zoom] : [motion.zoom, 1];
+    const pan = (s) => `${((Math.random() * 2 - 1) * ((s - 1) / 2) * 100).toFixed(2)}%`;
+    scales.forEach((s, i) => {
+      imgEl.style.setProperty(`--mmmitss-kb-s${i}`, String(s));
+      imgEl.style.setProperty(`--mmmitss-kb-x${i}`, pan(s));
+      imgEl.style.setProperty(`--mmmitss-kb-y${i}`, pan(s));
+    });
+    // A featured tile stays up until the random pick lands on it again.
+    const onScreen = this.cfg.mode === "frame"
+      ? this.cfg.interval + this.cfg.transitionMs
+      : this.cfg.interval * Math.max(1, this.tileEls.length);
+    imgEl.style.setProperty("--mmmitss-kb-duration", `${onScreen}ms`);
+    // eslint-disable-next-line no-unused-expressions
+    void imgEl.offsetWidth; // restart the animation for the new photo
+    layer.classList.add("kenburns");
   },
 
   /**
@@ -679,6 +1311,8 @@ Module.register("MMM-ImmichTileSlideShow", {
     this._activeVideoCount = 0;
     this._unbindResize();
     if (this._sizeCacheTimer) { try { clearInterval(this._sizeCacheTimer); } catch (_) {} this._sizeCacheTimer = null; }
+    if (this._scheduleTimer) { clearInterval(this._scheduleTimer); this._scheduleTimer = null; }
+    this._flushShown();
     // Remove injected root to avoid leakage on restarts
     try {
       if (this._root && this._root.parentNode) {
@@ -746,36 +1380,154 @@ Module.register("MMM-ImmichTileSlideShow", {
   },
 
   /**
-   * Build caption text from config.tileInfo
+   * Build caption text from config.captions.fields
    * @param {TileImage} image
    * @returns {string}
    */
   _buildCaption(image) {
+    if (this.cfg.captions.template) return this._renderCaptionTemplate(this.cfg.captions.template, image);
     const items = Array.isArray(this.cfg.captions.fields) ? this.cfg.captions.fields : [String(this.cfg.captions.fields || "")];
     const parts = [];
     for (const key of items) {
-      const k = String(key).toLowerCase().trim();
-      if (k === "title" && image.title) parts.push(image.title);
-      else if (k === "date" && image.takenAt) parts.push(this._formatDate(image.takenAt));
-      else if (k === "album" && image.albumName) parts.push(image.albumName);
+      const value = this._captionValue(image, key);
+      if (value) parts.push(value);
     }
     return parts.join(" • ");
   },
 
+  /**
+   * Text of one caption field, or "" when the media has no value for it.
+   * @param {TileImage} image
+   * @param {string} key field name
+   * @param {string} [modifier] date format: relative | year | long
+   * @returns {string}
+   */
+  _captionValue(image, key, modifier) {
+    const k = String(key).toLowerCase().trim();
+    if (k === "title") return image.title || "";
+    if (k === "date") return image.takenAt ? this._formatDate(image.takenAt, modifier) : "";
+    if (k === "album") return image.albumName || "";
+    if (k === "people") return image.people && image.people.length ? image.people.join(", ") : "";
+    if (k === "city") return image.city || "";
+    if (k === "country") return image.country || "";
+    if (k === "location") return [image.city, image.country].filter(Boolean).join(", ");
+    if (k === "camera") return image.camera || "";
+    if (k === "lens") return image.lens || "";
+    if (k === "description") return image.description || "";
+    if (k === "memory") return image.memory ? this._memoryTitle(image.memory) : "";
+    return "";
+  },
+
+  /**
+   * Show the title of the memory just swapped in above the wall; media
+   * outside any memory hide it.
+   * @param {TileImage} image
+   */
+  _setMemoryHeader(image) {
+    const el = this._root && this._root.querySelector(".immich-tiles-memory-header");
+    if (!el) return;
+    // Independent of `captions.enabled`: the header is on by default.
+    const text = this.cfg.captions.memoryHeader && image && image.memory
+      ? this._memoryTitle(image.memory)
+      : "";
+    el.textContent = text;
+    el.style.display = text ? "block" : "none";
+  },
+
+  /**
+   * "3 years ago today", or "3 years ago, October 16" for a memory of an
+   * earlier day, in the mirror's language. A title set by Immich wins.
+   * @param {{title: string|null, year: number|null, at: string}} memory
+   * @returns {string}
+   */
+  _memoryTitle(memory) {
+    if (memory.title) return memory.title;
+    const at = new Date(memory.at);
+    const years = memory.year ? at.getFullYear() - Number(memory.year) : NaN;
+    if (!(years > 0)) return this.translate("MEMORY");
+    const today = new Date();
+    if (at.toDateString() === today.toDateString()) {
+      return years === 1 ? this.translate("MEMORY_YEAR_AGO_TODAY") : this.translate("MEMORY_YEARS_AGO_TODAY", { count: years });
+    }
+    const date = at.toLocaleDateString(undefined, { month: "long", day: "numeric" });
+    return years === 1 ? this.translate("MEMORY_YEAR_AGO_ON", { date }) : this.translate("MEMORY_YEARS_AGO_ON", { count: years, date });
+  },
+
+  /**
+   * Fill a caption template such as "{date:relative} in {city} — {people}".
+   * A placeholder without a value is dropped together with the text before
+   * it, so "in" and "—" never dangle. Text before the first placeholder is a
+   * label and is kept as long as that placeholder has a value; text after
+   * the last one is kept when the last placeholder has a value.
+   * @param {string} template
+   * @param {TileImage} image
+   * @returns {string}
+   */
+  _renderCaptionTemplate(template, image) {
+    const re = /\{\s*([a-zA-Z]+)\s*(?::\s*([a-zA-Z]+)\s*)?\}/g;
+    let out = "";
+    let last = 0;
+    let first = true;
+    let kept = false;
+    let lastKept = false;
+    let m;
+    while ((m = re.exec(template)) !== null) {
+      const prefix = template.slice(last, m.index);
+      const value = this._captionValue(image, m[1], m[2]);
+      if (value) {
+        if (kept || first) out += prefix;
+        out += value;
+        kept = true;
+      }
+      lastKept = !!value;
+      first = false;
+      last = re.lastIndex;
+    }
+    if (first) return template; // no placeholders: a fixed caption
+    if (lastKept) out += template.slice(last);
+    return out.trim();
+  },
+
   /**
    * Lightweight date formatter without external deps
    * @param {string} iso
+   * @param {string} [modifier] relative ("3 years ago") | year | long; default short date
    */
-  _formatDate(iso) {
+  _formatDate(iso, modifier) {
     try {
       const d = new Date(iso);
       if (Number.isNaN(d.getTime())) return "";
+      const mod = String(modifier || "").toLowerCase();
+      if (mod === "relative") return this._relativeDate(d);
+      if (mod === "year") return String(d.getFullYear());
+      if (mod === "long") return d.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
       return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
     } catch (_) {
       return "";
     }
   },
 
+  /**
+   * "today", "5 days ago", "3 years ago", … in the mirror's language.
+   * Years count whole anniversaries, so a memory from this day reads
+   * "3 years ago" rather than "2 years ago" late in the day.
+   * @param {Date} d
+   * @returns {string}
+   */
+  _relativeDate(d) {
+    const now = new Date();
+    const day = (x) => new Date(x.getFullYear(), x.getMonth(), x.getDate()).getTime();
+    const days = Math.round((day(now) - day(d)) / 86400000);
+    if (days <= 0) return this.translate("TODAY");
+    if (days === 1) return this.translate("YESTERDAY");
+    let months = (now.getFullYear() - d.getFullYear()) * 12 + (now.getMonth() - d.getMonth());
+    if (now.getDate() < d.getDate()) months--;
+    if (months < 1) return this.translate("DAYS_AGO", { count: days });
+    if (months < 12) return months === 1 ? this.translate("MONTH_AGO") : this.translate("MONTHS_AGO", { count: months });
+    const years = Math.floor(months / 12);
+    return years === 1 ? this.translate("YEAR_AGO") : this.translate("YEARS_AGO", { count: years });
+  },
+
   /**
    * Determine image orientation and set grid row/column spans accordingly.
    * @param {HTMLDivElement} tile
@@ -862,6 +1614,8 @@ Module.register("MMM-ImmichTileSlideShow", {
     if (this._resizeBound) return;
     this._onResize = () => {
       clearTimeout(this._resizeDebounce);
+      // Refilling tiles would fetch media; catch up when quiet hours end.
+      if (this._quiet) { this._relayoutOnWake = true; return; }
       this._resizeDebounce = setTimeout(() => this._recalculateTiles(), 150);
     };
     window.addEventListener('resize', this._onResize);
@@ -1440,6 +2194,7 @@ Module.register("MMM-ImmichTileSlideShow", {
     if (this._featuredTimer) return; // already scheduled
     const period = Math.max(1, minutes) * 60 * 1000;
     this._featuredTimer = setInterval(() => {
+      if (this._quiet) return;
       this.log('reshuffle featured tiles');
       this._clearFeaturedTiles();
       this._applyFeaturedTiles();
@@ -1459,6 +2214,12 @@ Module.register("MMM-ImmichTileSlideShow", {
     this._lastScrollTs = 0;
     const step = (ts) => {
       if (!this._scrolling) return;
+      if (this._paused) {
+        // Hold position; the next frame after resuming starts a fresh delta.
+        this._lastScrollTs = 0;
+        this._scrollRaf = window.requestAnimationFrame(step);
+        return;
+      }
       if (!this._lastScrollTs) this._lastScrollTs = ts;
       const dt = Math.max(0, ts - this._lastScrollTs);
       this._lastScrollTs = ts;
@@ -83,7 +83,9 @@
   };
 
   const VALID_MODES = ['frame', 'grid', 'mosaic'];
-  const VALID_SOURCES = ['memory', 'album', 'search', 'random', 'anniversary'];
+  const VALID_TRANSITIONS = ['fade', 'slide', 'flip', 'zoom', 'blur', 'wipe'];
+  const VALID_DIRECTIONS = ['up', 'down', 'left', 'right'];
+  const VALID_SOURCES = ['memory', 'album', 'search', 'random', 'anniversary', 'folder', 'shared', 'tag', 'place'];
 
   /**
    * Named tile sizes for `mode: "mosaic"`, in px of minimum tile width.
@@ -192,18 +194,17 @@
     }
     if (legacy.length) throw new Error(legacyErrorMessage(legacy));
 
-    const source = VALID_SOURCES.includes(entry.source) ? entry.source : 'memory';
+    // A share key (or link) selects the shared-link source by itself.
+    const share = parseShare(entry);
+    const source = share ? 'shared' : (VALID_SOURCES.includes(entry.source) ? entry.source : 'memory');
 
     // `album` accepts a single value or array, mixing IDs and names freely.
-    const albumsRaw = entry.album == null ? [] : (Array.isArray(entry.album) ? entry.album : [entry.album]);
-    const albumIds = [];
-    const albumNames = [];
-    for (const a of albumsRaw) {
-      const s = String(a).trim();
-      if (!s) continue;
-      if (UUID_RE.test(s)) albumIds.push(s);
-      else albumNames.push(s);
-    }
+    const { albumIds, albumNames } = splitAlbums(entry.album);
+    // `tag` works the same way; names resolve via /tags.
+    const tags = splitRefs(entry.tag);
+
+    // `people` accepts a single name or an array, like `album`.
+    const people = nameList(entry.people);
 
     const thisYear = new Date().getFullYear();
     const anniversary = Object.assign(
@@ -212,21 +213,288 @@
     );
 
     return {
-      url: entry.url || null,
+      url: entry.url || (share && share.origin) || null,
       apiKey: entry.apiKey || null,
       timeout: Number(entry.timeout) > 0 ? Number(entry.timeout) : 10000,
       source,
       albumIds,
       albumNames,
+      tagIds: tags.ids,
+      tagNames: tags.names,
+      place: normalizePlace(entry.place),
       days: Number(entry.days) > 0 ? Number(entry.days) : 7,
       query: entry.query || null,
       size: Number(entry.size) > 0 ? Number(entry.size) : 100,
       anniversary,
+      // `source: "folder"`: a local directory instead of an Immich server.
+      path: typeof entry.path === 'string' && entry.path.trim() ? entry.path.trim() : null,
+      recursive: entry.recursive !== false,
+      watch: entry.watch === true,
+      // `shareKey`/`shareUrl`: a public shared link, read without an API key.
+      shareKey: share ? share.key : null,
+      shareSlug: share ? share.slug : null,
       sort: entry.sort || 'none',
-      sortDesc: entry.sortDesc === true
+      sortDesc: entry.sortDesc === true,
+      people,
+      peopleMode: entry.peopleMode === 'all' ? 'all' : 'any',
+      // "only" keeps starred assets; "boost" shows each `favoriteWeight`
+      // times per pass over the pool.
+      favorites: ['only', 'boost'].includes(entry.favorites) ? entry.favorites : 'ignore',
+      favoriteWeight: Math.min(10, Math.max(1, Math.round(Number(entry.favoriteWeight)) || 3)),
+      // Capture-date window; ages are days before each load.
+      takenAfter: parseDate(entry.takenAfter, 'immich.takenAfter', false),
+      takenBefore: parseDate(entry.takenBefore, 'immich.takenBefore', true),
+      maxAgeDays: Number(entry.maxAgeDays) > 0 ? Number(entry.maxAgeDays) : null,
+      minAgeDays: Number(entry.minAgeDays) > 0 ? Number(entry.minAgeDays) : null,
+      // Relative share of the merged pool when `activeImmich: "all"`.
+      weight: Number(entry.weight) > 0 ? Number(entry.weight) : 1,
+      exclude: normalizeExclude(entry.exclude)
     };
   }
 
+  /**
+   * `shareKey` or `shareUrl` -> { key | slug, origin }, or null when neither
+   * is set. Accepts `<server>/share/<key>` and custom `<server>/s/<slug>` links.
+   */
+  function parseShare(entry) {
+    const key = typeof entry.shareKey === 'string' ? entry.shareKey.trim() : '';
+    if (key) return { key, slug: null, origin: null };
+    const raw = typeof entry.shareUrl === 'string' ? entry.shareUrl.trim() : '';
+    if (!raw) return null;
+    let link;
+    try {
+      link = new URL(raw);
+    } catch (_) {
+      throw new Error(`MMM-ImmichTileSlideShow: immich.shareUrl must be a URL, got ${JSON.stringify(raw)}.`);
+    }
+    const m = link.pathname.match(/\/(share|s)\/([^/]+)\/?$/);
+    if (!m) throw new Error(`MMM-ImmichTileSlideShow: immich.shareUrl must look like <server>/share/<key> or <server>/s/<slug>, got ${JSON.stringify(raw)}.`);
+    const value = decodeURIComponent(m[2]);
+    // Servers hosted under a sub-path keep it in front of /share.
+    const origin = link.origin + link.pathname.slice(0, m.index);
+    return m[1] === 'share'
+      ? { key: value, slug: null, origin }
+      : { key: null, slug: value, origin };
+  }
+
+  /** A single value or an array -> trimmed, non-empty strings. */
+  function nameList(value) {
+    const list = value == null ? [] : (Array.isArray(value) ? value : [value]);
+    return list.map((v) => String(v).trim()).filter(Boolean);
+  }
+
+  /** Album references -> IDs and names, which the helper resolves via /albums. */
+  function splitAlbums(value) {
+    const { ids, names } = splitRefs(value);
+    return { albumIds: ids, albumNames: names };
+  }
+
+  /** Names or IDs, mixed freely -> the UUIDs and the rest. */
+  function splitRefs(value) {
+    const ids = [];
+    const names = [];
+    for (const s of nameList(value)) {
+      if (UUID_RE.test(s)) ids.push(s);
+      else names.push(s);
+    }
+    return { ids, names };
+  }
+
+  /**
+   * `immich.exclude`: media never shown, whatever the source. Albums take
+   * names or IDs like `album`; `filenamePattern` is a case-insensitive
+   * regular expression, kept as a string so the config survives the socket.
+   */
+  function normalizeExclude(raw) {
+    const entry = isPlainObject(raw) ? raw : {};
+    let filenamePattern = null;
+    if (entry.filenamePattern != null && String(entry.filenamePattern) !== '') {
+      filenamePattern = String(entry.filenamePattern);
+      try {
+        new RegExp(filenamePattern, 'i');
+      } catch (e) {
+        throw new Error(`MMM-ImmichTileSlideShow: immich.exclude.filenamePattern is not a valid regular expression: ${e.message}`);
+      }
+    }
+    return Object.assign(splitAlbums(entry.albums), {
+      people: nameList(entry.people),
+      tags: nameList(entry.tags),
+      filenamePattern
+    });
+  }
+
+  /**
+   * `immich.place`: place names as Immich shows them under Explore → Places,
+   * and/or a circle around a GPS position. Null when neither is given.
+   */
+  function normalizePlace(raw) {
+    if (!isPlainObject(raw)) return null;
+    const text = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+    const place = {
+      city: text(raw.city),
+      state: text(raw.state),
+      country: text(raw.country),
+      lat: null,
+      lon: null,
+      radiusKm: null
+    };
+    if (raw.lat != null || raw.lon != null) {
+      const lat = Number(raw.lat);
+      const lon = Number(raw.lon);
+      if (raw.lat == null || raw.lon == null || !(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) {
+        throw new Error(`MMM-ImmichTileSlideShow: immich.place needs both lat (-90..90) and lon (-180..180), got ${JSON.stringify({ lat: raw.lat, lon: raw.lon })}.`);
+      }
+      place.lat = lat;
+      place.lon = lon;
+      place.radiusKm = Number(raw.radiusKm) > 0 ? Number(raw.radiusKm) : 10;
+    }
+    return place.city || place.state || place.country || place.lat != null ? place : null;
+  }
+
+  const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const DAY_FULL_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const DAY_GROUPS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+  };
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Merge a schedule slot's overrides over the raw base config. Objects
+   * merge key by key, arrays and scalars replace. An `immich` object over an
+   * `immich` array applies to the active server (every server with
+   * `activeImmich: "all"`), so a slot can switch `source` or `album`
+   * without repeating URLs and keys.
+   */
+  function mergeConfig(base, over) {
+    const out = Object.assign({}, base);
+    for (const key of Object.keys(over)) {
+      const a = base[key];
+      const b = over[key];
+      if (key === 'immich' && Array.isArray(a) && isPlainObject(b)) {
+        const active = over.activeImmich != null ? over.activeImmich : base.activeImmich;
+        out.immich = a.map((entry, i) => (active === 'all' || i === (Number(active) || 0) ? mergeConfig(entry, b) : entry));
+      } else if (isPlainObject(a) && isPlainObject(b)) {
+        out[key] = mergeConfig(a, b);
+      } else {
+        out[key] = b;
+      }
+    }
+    return out;
+  }
+
+  /** "HH:MM" -> minutes after midnight; "24:00" is allowed as an end time. */
+  function parseTime(value, where) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    const minutes = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+    if (!m || Number(m[2]) > 59 || minutes > 24 * 60) {
+      throw new Error(`MMM-ImmichTileSlideShow: ${where} must be a "HH:MM" time, got ${JSON.stringify(value)}.`);
+    }
+    return minutes;
+  }
+
+  /**
+   * Date option -> ISO timestamp. "YYYY", "YYYY-MM" and "YYYY-MM-DD" cover
+   * the whole period: they resolve to its first moment, or with `end` to
+   * its last, so `takenBefore: "2019"` still includes New Year's Eve.
+   */
+  function parseDate(value, where, end) {
+    if (value == null || value === '') return null;
+    const m = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(String(value).trim());
+    let t;
+    if (m) {
+      const y = Number(m[1]);
+      const mo = m[2] ? Number(m[2]) - 1 : 0;
+      const d = m[3] ? Number(m[3]) : 1;
+      t = Date.UTC(y, mo, d);
+      if (end) t = Date.UTC(y + (m[2] ? 0 : 1), mo + (m[2] && !m[3] ? 1 : 0), d + (m[3] ? 1 : 0)) - 1;
+    } else {
+      t = value instanceof Date ? value.getTime() : Date.parse(String(value));
+    }
+    if (!Number.isFinite(t)) {
+      throw new Error(`MMM-ImmichTileSlideShow: ${where} must be a date like "2019-06-30", got ${JSON.stringify(value)}.`);
+    }
+    return new Date(t).toISOString();
+  }
+
+  /** Day list -> sorted day numbers (0 = Sunday). Accepts names, numbers and daily/weekdays/weekends. */
+  function parseDays(value, where) {
+    if (value == null) return DAY_GROUPS.daily.slice();
+    const days = new Set();
+    for (const d of Array.isArray(value) ? value : [value]) {
+      const key = String(d).trim().toLowerCase();
+      if (DAY_GROUPS[key]) DAY_GROUPS[key].forEach((n) => days.add(n));
+      else if (DAY_NAMES.includes(key)) days.add(DAY_NAMES.indexOf(key));
+      else if (DAY_FULL_NAMES.includes(key)) days.add(DAY_FULL_NAMES.indexOf(key));
+      else if (/^[0-6]$/.test(key)) days.add(Number(key));
+      else throw new Error(`MMM-ImmichTileSlideShow: ${where} has an unknown day ${JSON.stringify(d)}.`);
+    }
+    return Array.from(days).sort();
+  }
+
+  /**
+   * Resolve `schedule` into slots, each carrying the complete normalized
+   * config that applies while it is active.
+   * @param {object} raw raw module config
+   * @returns {{days: number[], from: number, to: number, config: object}[]}
+   */
+  function normalizeSchedule(raw) {
+    if (raw.schedule == null) return [];
+    if (!Array.isArray(raw.schedule)) throw new Error('MMM-ImmichTileSlideShow: `schedule` must be an array of { days, from, to, config }.');
+    const base = Object.assign({}, raw);
+    delete base.schedule;
+    return raw.schedule.map((slot, i) => {
+      const where = `schedule[${i}]`;
+      if (!isPlainObject(slot)) throw new Error(`MMM-ImmichTileSlideShow: ${where} must be an object.`);
+      const overrides = isPlainObject(slot.config) ? Object.assign({}, slot.config) : {};
+      delete overrides.schedule; // slots don't nest
+      return {
+        days: parseDays(slot.days, where + '.days'),
+        from: slot.from == null ? 0 : parseTime(slot.from, where + '.from'),
+        to: slot.to == null ? 24 * 60 : parseTime(slot.to, where + '.to'),
+        config: normalize(mergeConfig(base, overrides))
+      };
+    });
+  }
+
+  /**
+   * Index of the schedule slot active at `date`, or -1 for the base config.
+   * The first matching slot wins. A slot whose `to` is earlier than its
+   * `from` runs past midnight; `days` then names the day it starts on.
+   * @param {object} cfg normalized config
+   * @param {Date} date
+   * @returns {number}
+   */
+  function activeSlot(cfg, date) {
+    const slots = (cfg && cfg.schedule) || [];
+    return slots.findIndex((slot) => inWindow(slot, date));
+  }
+
+  /**
+   * True while `cfg.quietHours` is in effect at `date`.
+   * @param {object} cfg normalized config
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  function isQuiet(cfg, date) {
+    const quiet = cfg && cfg.quietHours;
+    return !!(quiet && quiet.enabled) && inWindow(quiet, date);
+  }
+
+  /** Whether `date` falls in a `{ days, from, to }` window (minutes after midnight). */
+  function inWindow(win, date) {
+    const day = date.getDay();
+    const minute = date.getHours() * 60 + date.getMinutes();
+    if (win.from === win.to) return win.days.includes(day);
+    if (win.from < win.to) return win.days.includes(day) && minute >= win.from && minute < win.to;
+    return (win.days.includes(day) && minute >= win.from) ||
+      (win.days.includes((day + 6) % 7) && minute < win.to);
+  }
+
   /**
    * Normalize the full v2 module config into the canonical internal shape.
    * Throws a descriptive Error when a v1 config is supplied.
@@ -285,19 +553,71 @@
     const scroll = group(raw.scroll, { speed: 18 }, false);
     scroll.speed = Number(scroll.speed) > 0 ? Number(scroll.speed) : 18;
 
-    const captions = group(raw.captions, { fields: ['date'] }, false);
+    const captions = group(raw.captions, { fields: ['date'], template: null, memoryHeader: true }, false);
     if (!Array.isArray(captions.fields) || !captions.fields.length) captions.fields = ['date'];
+    // With memories, the title of the memory on screen ("3 years ago today")
+    // above the wall; shown whether or not tile captions are on.
+    captions.memoryHeader = captions.memoryHeader !== false;
+    // A template replaces `fields` entirely.
+    captions.template = typeof captions.template === 'string' && captions.template.trim() ? captions.template : null;
+
+    // Periodic re-fetch of the media pool. Off by default: a restart was the
+    // only refresh path in v2.0, and a timer hitting Immich is opt-in.
+    const refresh = group(raw.refresh, { intervalMinutes: 60 }, false);
+    refresh.intervalMinutes = Number(refresh.intervalMinutes) > 0 ? Number(refresh.intervalMinutes) : 60;
+
+    // Disk cache for offline operation. `dir` is relative to the module folder.
+    const cache = group(raw.cache, { dir: 'cache', maxMB: 500 }, false);
+    cache.dir = typeof cache.dir === 'string' && cache.dir.trim() ? cache.dir.trim() : 'cache';
+    cache.maxMB = Number(cache.maxMB) > 0 ? Number(cache.maxMB) : 500;
 
     const performance = Object.assign(
-      { lightweight: false, maxTiles: 160, sizeCacheMax: 400, sizeCacheTtlMinutes: 30 },
+      { lightweight: false, maxTiles: 160, sizeCacheMax: 400, sizeCacheTtlMinutes: 30, lookahead: 2 },
       (raw.performance && typeof raw.performance === 'object') ? raw.performance : {}
     );
     performance.maxTiles = Math.max(1, Number(performance.maxTiles) || 160);
+    // Each queued swap holds one decoded bitmap; keep the queue short on a Pi.
+    performance.lookahead = Math.max(0, Math.min(10, Math.floor(Number(performance.lookahead)) || 0));
 
     // `immich` accepts one object or an array of servers.
     const immichRaw = raw.immich == null ? [] : (Array.isArray(raw.immich) ? raw.immich : [raw.immich]);
     const immich = immichRaw.map(normalizeImmich);
+    // `activeImmich: "all"` loads every server and merges them into one pool.
+    const mergeImmich = raw.activeImmich === 'all' && immich.length > 1;
     const activeImmich = Math.max(0, Math.min(immich.length - 1, Number(raw.activeImmich) || 0));
+    // Ken Burns pan-and-zoom on the frame tile (and, opted in, featured
+    // tiles). `transition: "kenburns"` is shorthand for `motion: true`.
+    const motion = group(raw.motion == null && raw.transition === 'kenburns' ? true : raw.motion,
+      { zoom: 1.15, featured: false }, false);
+    motion.zoom = Math.min(1.5, Math.max(1.02, Number(motion.zoom) || 1.15));
+    motion.featured = motion.featured === true;
+
+    // Quiet hours: a nightly window with swaps, videos, scrolling and the
+    // helper's refresh suspended. Off unless configured.
+    const quietHours = group(raw.quietHours, { from: '23:00', to: '06:00', days: null, action: 'pause', dim: 0.9 }, false);
+    quietHours.from = parseTime(quietHours.from, 'quietHours.from');
+    quietHours.to = parseTime(quietHours.to, 'quietHours.to');
+    quietHours.days = parseDays(quietHours.days, 'quietHours.days');
+    quietHours.action = ['pause', 'blank', 'dim'].includes(quietHours.action) ? quietHours.action : 'pause';
+    quietHours.dim = toFraction(quietHours.dim, 0.9);
+
+    // Persistent display history: least recently shown first, and nothing
+    // shown within `cooldownDays` comes back. The file lives in `dir`.
+    const history = group(raw.history, { cooldownDays: 7, dir: 'cache', name: null }, false);
+    history.cooldownDays = Number(history.cooldownDays) >= 0 ? Number(history.cooldownDays) : 7;
+    history.dir = typeof history.dir === 'string' && history.dir.trim() ? history.dir.trim() : 'cache';
+    // File name key; by default derived from the configured servers.
+    history.name = typeof history.name === 'string' && history.name.trim() ? history.name.trim() : null;
+
+    // Duplicate suppression in the helper: repeated assets and non-primary
+    // stack members by default; burst thinning only when given a window.
+    const dedupe = group(raw.dedupe, { stacks: true, burstSeconds: 0 }, true);
+    dedupe.stacks = dedupe.stacks !== false;
+    dedupe.burstSeconds = Math.max(0, Number(dedupe.burstSeconds) || 0);
+
+    // With several servers and no merge, fall back down the list when the
+    // active one is unreachable.
+    const failover = raw.failover !== false;
 
     return {
       mode,
@@ -306,12 +626,23 @@
       videos,
       scroll,
       captions,
+      motion,
+      quietHours,
+      refresh,
+      cache,
+      dedupe,
+      history,
       performance,
       immich,
       activeImmich,
+      mergeImmich,
+      failover,
+      schedule: normalizeSchedule(raw),
 
       interval: Math.max(1000, Number(raw.interval) || 10000),
-      transition: raw.transition === 'slide' ? 'slide' : 'fade',
+      // `kenburns` swaps with a fade; its motion is the `motion` group above.
+      transition: VALID_TRANSITIONS.includes(raw.transition) ? raw.transition : 'fade',
+      transitionDirection: VALID_DIRECTIONS.includes(raw.transitionDirection) ? raw.transitionDirection : 'up',
       transitionMs: Math.max(0, Number(raw.transitionMs) === 0 ? 0 : (Number(raw.transitionMs) || 600)),
       randomize: raw.randomize !== false,
       staggerMs: Math.max(0, Number(raw.staggerMs) === 0 ? 0 : (Number(raw.staggerMs) || 250)),
@@ -333,11 +664,14 @@
 
   return {
     normalize,
+    activeSlot,
+    isQuiet,
     detectLegacy,
     legacyErrorMessage,
     LEGACY_KEYS,
     LEGACY_IMMICH_KEYS,
     VALID_MODES,
+    VALID_TRANSITIONS,
     VALID_SOURCES,
     TILE_SIZES
   };
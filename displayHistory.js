@@ -0,0 +1,93 @@
+// modules/MMM-ImmichTileSlideShow/displayHistory.js
+// On-disk record of when each asset was last on screen, so a restart
+// neither replays the same first photos nor brings back recent ones.
+
+const Log = require('logger');
+const fs = require('fs');
+const path = require('path');
+
+const LOG_PREFIX = 'MMM-ImmichTileSlideShow :: history :: ';
+
+/** Writes are batched; a crash loses at most this much history. */
+const SAVE_DELAY_MS = 60 * 1000;
+/** Oldest entries are dropped beyond this, keeping the file small on huge libraries. */
+const MAX_ENTRIES = 100000;
+
+/** Histories by absolute file, so a re-register reuses the loaded one. */
+const opened = new Map();
+
+class DisplayHistory {
+  /**
+   * Open (or reuse) the history stored in `file`. Throws when its directory
+   * cannot be created; callers treat that as "run without history".
+   * @param {string} file absolute path of the JSON file
+   * @returns {DisplayHistory}
+   */
+  static open(file) {
+    const abs = path.resolve(file);
+    let history = opened.get(abs);
+    if (!history) {
+      history = new DisplayHistory(abs);
+      opened.set(abs, history);
+    }
+    return history;
+  }
+
+  constructor(file) {
+    this.file = file;
+    /** @type {Map<string, number>} asset ID -> last shown (ms since epoch) */
+    this.shown = new Map();
+    this._saveTimer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      // Oldest first, so Map order doubles as the eviction order.
+      const entries = Object.entries((data && data.shown) || {})
+        .filter(([, at]) => Number.isFinite(at))
+        .sort((a, b) => a[1] - b[1]);
+      for (const [id, at] of entries) this.shown.set(id, at);
+    } catch (e) {
+      if (e.code !== 'ENOENT') Log.warn(LOG_PREFIX + `could not read ${file}, starting empty: ${e.message}`);
+    }
+    Log.info(LOG_PREFIX + `opened ${file} (${this.shown.size} asset(s))`);
+  }
+
+  /**
+   * @param {string} id asset ID
+   * @returns {number} when the asset was last shown, or 0 if never
+   */
+  lastShown(id) {
+    return this.shown.get(id) || 0;
+  }
+
+  /**
+   * Record assets as shown now.
+   * @param {string[]} ids asset IDs
+   * @param {number} [at] ms since epoch
+   */
+  mark(ids, at = Date.now()) {
+    for (const id of ids) {
+      // Re-insert so the Map stays ordered oldest first.
+      this.shown.delete(id);
+      this.shown.set(id, at);
+    }
+    while (this.shown.size > MAX_ENTRIES) this.shown.delete(this.shown.keys().next().value);
+    if (!this._saveTimer) this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+  }
+
+  /** Write pending changes now. */
+  flush() {
+    if (!this._saveTimer) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    const tmp = this.file + '.tmp';
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), shown: Object.fromEntries(this.shown) }));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      Log.warn(LOG_PREFIX + 'could not save display history: ' + e.message);
+    }
+  }
+}
+
+module.exports = DisplayHistory;
@@ -0,0 +1,339 @@
+// modules/MMM-ImmichTileSlideShow/folderSource.js
+// Local folder as a media source: scans a directory, probes each file for
+// its capture date and dimensions, and serves the files over its own route.
+
+const Log = require('logger');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_PREFIX = 'MMM-ImmichTileSlideShow :: folder :: ';
+const FOLDER_URL = '/immichtilesslideshow-folder/';
+
+/** Bytes read from the start of a file; enough for EXIF and the frame header of any sane JPEG. */
+const PROBE_BYTES = 256 * 1024;
+/** Quiet period after the last change on disk before the pool is reloaded. */
+const WATCH_DEBOUNCE_MS = 3000;
+
+/** Image formats browsers can't decode. Immich serves them as JPEG previews; a folder serves the raw file. */
+const UNDECODABLE_EXTENSIONS = new Set(['heic', 'heif']);
+
+/** Live sources, keyed by `<instance>/<server>`; the route looks them up here. */
+const sources = new Map();
+/** Express apps that already carry the route. */
+const routedApps = new WeakSet();
+
+function sourceKey(instanceId, serverKey) {
+  return instanceId + '/' + serverKey;
+}
+
+/**
+ * Register the file route. Files are addressed by an opaque ID from the last
+ * scan, so nothing outside the configured folder can be requested.
+ * @param {import('express').Express} expressApp
+ */
+function installRoutes(expressApp) {
+  if (!expressApp || routedApps.has(expressApp)) return;
+  routedApps.add(expressApp);
+  Log.debug(LOG_PREFIX + 'setting up file route at ' + FOLDER_URL);
+  expressApp.get(FOLDER_URL + ':instance/:server/:id', (req, res) => {
+    const source = sources.get(sourceKey(req.params.instance, req.params.server));
+    const file = source && source.files.get(req.params.id);
+    if (!file) { res.status(404).end(); return; }
+    // sendFile answers Range requests, which video playback relies on.
+    res.sendFile(file, { dotfiles: 'allow' }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 404).end();
+    });
+  });
+}
+
+/**
+ * Capture date, camera and dimensions from the head of an image file.
+ * Reads JPEG EXIF and frame headers, PNG, GIF and WebP; anything else (or
+ * anything malformed) yields whatever was found before giving up.
+ * @param {Buffer} buf start of the file
+ * @returns {{width?: number, height?: number, date?: string, make?: string, model?: string}}
+ */
+function probeImage(buf) {
+  const out = {};
+  try {
+    if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) {
+      out.width = buf.readUInt32BE(16);
+      out.height = buf.readUInt32BE(20);
+    } else if (buf.length > 10 && buf.toString('latin1', 0, 4) === 'GIF8') {
+      out.width = buf.readUInt16LE(6);
+      out.height = buf.readUInt16LE(8);
+    } else if (buf.length > 30 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') {
+      const chunk = buf.toString('latin1', 12, 16);
+      if (chunk === 'VP8X') {
+        out.width = buf.readUIntLE(24, 3) + 1;
+        out.height = buf.readUIntLE(27, 3) + 1;
+      } else if (chunk === 'VP8 ') {
+        out.width = buf.readUInt16LE(26) & 0x3fff;
+        out.height = buf.readUInt16LE(28) & 0x3fff;
+      } else if (chunk === 'VP8L') {
+        const bits = buf.readUInt32LE(21);
+        out.width = (bits & 0x3fff) + 1;
+        out.height = ((bits >> 14) & 0x3fff) + 1;
+      }
+    } else if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+      probeJpeg(buf, out);
+    }
+  } catch (_) { /* truncated or malformed: keep what was read */ }
+  return out;
+}
+
+function probeJpeg(buf, out) {
+  let i = 2;
+  let orientation = 1;
+  while (i + 4 <= buf.length && buf[i] === 0xff) {
+    const marker = buf[i + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    const len = buf.readUInt16BE(i + 2);
+    if (marker === 0xe1 && buf.toString('latin1', i + 4, i + 10) === 'Exif\0\0') {
+      orientation = readExif(buf, i + 10, out) || 1;
+    } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // Start of frame: the real pixel size, whatever EXIF claims.
+      out.height = buf.readUInt16BE(i + 5);
+      out.width = buf.readUInt16BE(i + 7);
+      break;
+    }
+    i += 2 + len;
+  }
+  // Orientations 5–8 are rotated a quarter turn; the browser shows them upright.
+  if (orientation >= 5 && orientation <= 8 && out.width && out.height) {
+    [out.width, out.height] = [out.height, out.width];
+  }
+}
+
+/**
+ * Read the EXIF fields used for tiles from a TIFF block.
+ * @returns {number} EXIF orientation (0 when absent)
+ */
+function readExif(buf, start, out) {
+  const le = buf.toString('latin1', start, start + 2) === 'II';
+  const u16 = (o) => (le ? buf.readUInt16LE(start + o) : buf.readUInt16BE(start + o));
+  const u32 = (o) => (le ? buf.readUInt32LE(start + o) : buf.readUInt32BE(start + o));
+  const ascii = (entry) => {
+    const count = u32(entry + 4);
+    const at = count <= 4 ? entry + 8 : u32(entry + 8);
+    return buf.toString('latin1', start + at, start + at + count).replace(/\0.*$/s, '').trim();
+  };
+  const value = (entry) => (u16(entry + 2) === 3 ? u16(entry + 8) : u32(entry + 8));
+  const readIfd = (offset, visit) => {
+    const n = u16(offset);
+    for (let k = 0; k < n; k++) visit(u16(offset + 2 + k * 12), offset + 2 + k * 12);
+  };
+
+  let orientation = 0;
+  let exifIfd = 0;
+  let dateTime = null;
+  readIfd(u32(4), (tag, entry) => {
+    if (tag === 0x010f) out.make = ascii(entry);
+    else if (tag === 0x0110) out.model = ascii(entry);
+    else if (tag === 0x0112) orientation = u16(entry + 8);
+    else if (tag === 0x0132) dateTime = ascii(entry);
+    else if (tag === 0x8769) exifIfd = u32(entry + 8);
+  });
+  let original = null;
+  if (exifIfd) {
+    readIfd(exifIfd, (tag, entry) => {
+      if (tag === 0x9003) original = ascii(entry);
+      else if (tag === 0xa002) out.width = value(entry);
+      else if (tag === 0xa003) out.height = value(entry);
+    });
+  }
+  const date = exifDate(original || dateTime);
+  if (date) out.date = date;
+  return orientation;
+}
+
+/** EXIF "YYYY:MM:DD HH:MM:SS" (camera local time) -> ISO timestamp. */
+function exifDate(text) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!m || m[1] === '0000') return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6]));
+  return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+}
+
+/**
+ * A local folder standing in for an Immich server. Scans produce records
+ * shaped like Immich assets, so the helper filters, maps and sorts them on
+ * the same path; links point at this module's own file route.
+ */
+class FolderSource {
+  /**
+   * @param {string} instanceId module identifier, encoded in file paths
+   * @param {number|string} [serverKey] index into the normalized `immich` array
+   */
+  constructor(instanceId, serverKey) {
+    this.instanceId = String(instanceId);
+    this.serverKey = String(serverKey == null ? 0 : serverKey);
+    this.apiLevel = 'folder';
+    this.debugOn = false;
+    this.root = null;
+    /** @type {Map<string, string>} ID -> absolute path, from the last scan */
+    this.files = new Map();
+    /** @type {Map<string, {mtimeMs: number, size: number, asset: object}>} probe results by path */
+    this.probed = new Map();
+    /** Called (debounced) when the folder changes on disk; set by the helper. */
+    this.onChange = null;
+    this._watcher = null;
+    this._watchTimer = null;
+    sources.set(sourceKey(this.instanceId, this.serverKey), this);
+  }
+
+  /**
+   * Check the folder and install the route. Throws when the folder can't be
+   * read, which lets failover move on to the next entry.
+   * @param {{path: string, recursive: boolean, watch: boolean}} config
+   * @param {import('express').Express} expressApp
+   */
+  async init(config, expressApp) {
+    installRoutes(expressApp);
+    const root = path.resolve(__dirname, config.path);
+    const st = await fs.promises.stat(root);
+    if (!st.isDirectory()) throw new Error(`${root} is not a directory`);
+    if (root !== this.root) this._unwatch();
+    this.root = root;
+    if (config.watch && !this._watcher) this._watch(config.recursive);
+  }
+
+  /**
+   * List the folder's media.
+   * @param {{recursive: boolean, imageExtensions: string[], videoExtensions: string[]}} opts
+   * @returns {Promise<object[]>} Immich-shaped asset records
+   */
+  async scan(opts) {
+    const images = new Set(opts.imageExtensions.filter((ext) => !UNDECODABLE_EXTENSIONS.has(ext)));
+    const videos = new Set(opts.videoExtensions);
+    const assets = [];
+    const files = new Map();
+    const seen = new Set();
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        Log.warn(LOG_PREFIX + `cannot read ${dir}: ${e.message}`);
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (opts.recursive) await walk(full);
+          continue;
+        }
+        const ext = path.extname(entry.name).slice(1).toLowerCase();
+        const kind = images.has(ext) ? 'IMAGE' : (videos.has(ext) ? 'VIDEO' : null);
+        if (!kind || !entry.isFile()) continue;
+        const asset = await this._asset(full, kind);
+        if (!asset) continue;
+        files.set(asset.id, full);
+        seen.add(full);
+        assets.push(asset);
+      }
+    };
+    await walk(this.root);
+    this.files = files;
+    for (const file of this.probed.keys()) if (!seen.has(file)) this.probed.delete(file);
+    if (this.debugOn) Log.info(LOG_PREFIX + `[debug] ${this.root}: ${assets.length} file(s)`);
+    return assets;
+  }
+
+  getImageLink(id) {
+    // Videos have no separate poster image here.
+    const file = this.files.get(id);
+    if (file && this.probed.has(file) && this.probed.get(file).asset.type === 'VIDEO') return null;
+    return FOLDER_URL + encodeURIComponent(this.instanceId) + '/' + this.serverKey + '/' + id;
+  }
+
+  getVideoLink(id) {
+    return FOLDER_URL + encodeURIComponent(this.instanceId) + '/' + this.serverKey + '/' + id;
+  }
+
+  /** Stop watching and unregister from the route; links handed out earlier then 404. */
+  close() {
+    this._unwatch();
+    const key = sourceKey(this.instanceId, this.serverKey);
+    if (sources.get(key) === this) sources.delete(key);
+  }
+
+  /** Build (or reuse) the record of one file; null when it vanished mid-scan. */
+  async _asset(file, kind) {
+    let st;
+    try {
+      st = await fs.promises.stat(file);
+    } catch (_) {
+      return null;
+    }
+    const known = this.probed.get(file);
+    if (known && known.mtimeMs === st.mtimeMs && known.size === st.size) return known.asset;
+
+    let info = {};
+    if (kind === 'IMAGE') {
+      let fh;
+      try {
+        fh = await fs.promises.open(file, 'r');
+        const buf = Buffer.alloc(Math.min(PROBE_BYTES, st.size));
+        const { bytesRead } = await fh.read(buf, 0, buf.length, 0);
+        info = probeImage(buf.subarray(0, bytesRead));
+      } catch (e) {
+        Log.debug(LOG_PREFIX + `probe failed for ${file}: ${e.message}`);
+      } finally {
+        if (fh) await fh.close().catch(() => {});
+      }
+    }
+    const rel = path.relative(this.root, file);
+    const dir = path.dirname(file);
+    const asset = {
+      id: crypto.createHash('sha1').update(rel).digest('hex').slice(0, 24),
+      type: kind,
+      originalFileName: path.basename(file),
+      originalPath: file,
+      fileCreatedAt: info.date || new Date(st.mtimeMs).toISOString(),
+      albumName: path.basename(dir === this.root ? this.root : dir),
+      exifInfo: {
+        dateTimeOriginal: info.date || null,
+        exifImageWidth: info.width || null,
+        exifImageHeight: info.height || null,
+        make: info.make || null,
+        model: info.model || null
+      }
+    };
+    this.probed.set(file, { mtimeMs: st.mtimeMs, size: st.size, asset });
+    return asset;
+  }
+
+  _watch(recursive) {
+    try {
+      this._watcher = fs.watch(this.root, { recursive: !!recursive }, () => {
+        clearTimeout(this._watchTimer);
+        this._watchTimer = setTimeout(() => {
+          this._watchTimer = null;
+          if (typeof this.onChange === 'function') this.onChange();
+        }, WATCH_DEBOUNCE_MS);
+      });
+      this._watcher.on('error', (e) => {
+        Log.warn(LOG_PREFIX + `stopped watching ${this.root}: ${e.message}`);
+        this._unwatch();
+      });
+      Log.info(LOG_PREFIX + `watching ${this.root}` + (recursive ? ' (with subfolders)' : ''));
+    } catch (e) {
+      Log.warn(LOG_PREFIX + `cannot watch ${this.root}: ${e.message}`);
+      this._watcher = null;
+    }
+  }
+
+  _unwatch() {
+    if (this._watchTimer) clearTimeout(this._watchTimer);
+    this._watchTimer = null;
+    if (this._watcher) {
+      try { this._watcher.close(); } catch (_) {}
+    }
+    this._watcher = null;
+  }
+}
+
+module.exports = FolderSource;
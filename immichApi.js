@@ -9,108 +9,288 @@ const LOG_PREFIX = 'MMM-ImmichTileSlideShow :: immichApi :: ';
 const IMMICH_PROXY_URL = '/immichtilesslideshow/';
 const IMMICH_VIDEO_PROXY_URL = '/immichtilesslideshow-video/';
 
-const immichApi = {
-  debugOn: false,
-  apiUrls: {
-    v1_94: {
-      albums: '/album',
-      albumInfo: '/album/{id}',
-      memoryLane: '/asset/memory-lane',
-      assetInfo: '/asset/{id}',
-      assetDownload: '/asset/file/{id}?isWeb=true',
-      assetOriginal: '/asset/file/{id}',
-      serverInfoUrl: '/server-info/version',
-      search: 'NOT SUPPORTED',
-      videoStream: '/asset/file/{id}?isWeb=true'
-    },
-    v1_106: {
-      previousVersion: 'v1_94',
-      albums: '/albums',
-      albumInfo: '/albums/{id}',
-      memoryLane: '/assets/memory-lane',
-      assetInfo: '/assets/{id}',
-      // Prefer preview, then thumbnail; keep original as fallback
-      assetPreview: '/assets/{id}/thumbnail?size=preview',
-      assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
-      assetOriginal: '/assets/{id}/original',
-      serverInfoUrl: '/server-info/version',
-      search: 'NOT SUPPORTED',
-      // Use Immich's encoded video stream endpoint to reduce client load
-      videoStream: '/assets/{id}/video'
-    },
-    v1_118: {
-      previousVersion: 'v1_106',
-      albums: '/albums',
-      albumInfo: '/albums/{id}',
-      memoryLane: '/assets/memory-lane',
-      assetInfo: '/assets/{id}',
-      // Prefer preview, then thumbnail; keep original as fallback
-      assetPreview: '/assets/{id}/thumbnail?size=preview',
-      assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
-      assetOriginal: '/assets/{id}/original',
-      serverInfoUrl: '/server/version',
-      search: '/search/smart',
-      // Use Immich's encoded video stream endpoint to reduce client load
-      videoStream: '/assets/{id}/video'
-    },
-    v1_133: {
-      previousVersion: 'v1_118',
-      albums: '/albums',
-      albumInfo: '/albums/{id}',
-      memoryLane: '/memories',
-      assetInfo: '/assets/{id}',
-      // Prefer preview, then thumbnail; keep original as fallback
-      assetPreview: '/assets/{id}/thumbnail?size=preview',
-      assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
-      assetOriginal: '/assets/{id}/original',
-      serverInfoUrl: '/server/version',
-      search: '/search/smart',
-      randomSearch: '/search/random',
-      // Use Immich's encoded video stream endpoint to reduce client load
-      videoStream: '/assets/{id}/video'
-    },
-    v3_0: {
-      previousVersion: 'v1_133',
-      albums: '/albums',
-      albumInfo: '/albums/{id}',              // v3: metadata only, no inline assets
-      albumAssetsSearch: '/search/metadata',  // POST { albumIds:[id], size, page }
-      memoryLane: '/memories',
-      assetInfo: '/assets/{id}',
-      assetPreview: '/assets/{id}/thumbnail?size=preview',
-      assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
-      assetOriginal: '/assets/{id}/original',
-      serverInfoUrl: '/server/version',
-      search: '/search/smart',
-      randomSearch: '/search/random',
-      videoStream: '/assets/{id}/video/playback' // v3: /video -> /video/playback
-    }
+/** Live clients, keyed by `<instance>/<server>`; the proxy routes look them up here. */
+const clients = new Map();
+/** Express apps that already carry the proxy routes. */
+const routedApps = new WeakSet();
+
+function clientKey(instanceId, serverKey) {
+  return instanceId + '/' + serverKey;
+}
+
+/** Endpoint tables per Immich API level; `previousVersion` drives negotiation. */
+const API_URLS = {
+  v1_94: {
+    albums: '/album',
+    albumInfo: '/album/{id}',
+    memoryLane: '/asset/memory-lane',
+    assetInfo: '/asset/{id}',
+    people: '/person',
+    sharedLink: '/shared-link/me',
+    assetDownload: '/asset/file/{id}?isWeb=true',
+    assetOriginal: '/asset/file/{id}',
+    serverInfoUrl: '/server-info/version',
+    search: 'NOT SUPPORTED',
+    videoStream: '/asset/file/{id}?isWeb=true'
+  },
+  v1_106: {
+    previousVersion: 'v1_94',
+    albums: '/albums',
+    albumInfo: '/albums/{id}',
+    memoryLane: '/assets/memory-lane',
+    assetInfo: '/assets/{id}',
+    people: '/people',
+    sharedLink: '/shared-links/me',
+    timelineBuckets: '/timeline/buckets',
+    timelineBucket: '/timeline/bucket',
+    // Prefer preview, then thumbnail; keep original as fallback
+    assetPreview: '/assets/{id}/thumbnail?size=preview',
+    assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
+    assetOriginal: '/assets/{id}/original',
+    serverInfoUrl: '/server-info/version',
+    search: 'NOT SUPPORTED',
+    // Use Immich's encoded video stream endpoint to reduce client load
+    videoStream: '/assets/{id}/video'
   },
+  v1_118: {
+    previousVersion: 'v1_106',
+    albums: '/albums',
+    albumInfo: '/albums/{id}',
+    memoryLane: '/assets/memory-lane',
+    assetInfo: '/assets/{id}',
+    people: '/people',
+    sharedLink: '/shared-links/me',
+    timelineBuckets: '/timeline/buckets',
+    timelineBucket: '/timeline/bucket',
+    // Prefer preview, then thumbnail; keep original as fallback
+    assetPreview: '/assets/{id}/thumbnail?size=preview',
+    assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
+    assetOriginal: '/assets/{id}/original',
+    serverInfoUrl: '/server/version',
+    search: '/search/smart',
+    metadataSearch: '/search/metadata',
+    tags: '/tags',
+    mapMarkers: '/map/markers',
+    // Use Immich's encoded video stream endpoint to reduce client load
+    videoStream: '/assets/{id}/video'
+  },
+  v1_133: {
+    previousVersion: 'v1_118',
+    albums: '/albums',
+    albumInfo: '/albums/{id}',
+    memoryLane: '/memories',
+    assetInfo: '/assets/{id}',
+    people: '/people',
+    sharedLink: '/shared-links/me',
+    timelineBuckets: '/timeline/buckets',
+    timelineBucket: '/timeline/bucket',
+    // Prefer preview, then thumbnail; keep original as fallback
+    assetPreview: '/assets/{id}/thumbnail?size=preview',
+    assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
+    assetOriginal: '/assets/{id}/original',
+    serverInfoUrl: '/server/version',
+    search: '/search/smart',
+    metadataSearch: '/search/metadata',
+    tags: '/tags',
+    mapMarkers: '/map/markers',
+    randomSearch: '/search/random',
+    // Use Immich's encoded video stream endpoint to reduce client load
+    videoStream: '/assets/{id}/video'
+  },
+  v3_0: {
+    previousVersion: 'v1_133',
+    albums: '/albums',
+    albumInfo: '/albums/{id}',              // v3: metadata only, no inline assets
+    albumAssetsSearch: '/search/metadata',  // POST { albumIds:[id], size, page }
+    memoryLane: '/memories',
+    assetInfo: '/assets/{id}',
+    people: '/people',
+    sharedLink: '/shared-links/me',
+    timelineBuckets: '/timeline/buckets',
+    timelineBucket: '/timeline/bucket',
+    assetPreview: '/assets/{id}/thumbnail?size=preview',
+    assetDownload: '/assets/{id}/thumbnail?size=thumbnail',
+    assetOriginal: '/assets/{id}/original',
+    serverInfoUrl: '/server/version',
+    search: '/search/smart',
+    metadataSearch: '/search/metadata',
+    tags: '/tags',
+    mapMarkers: '/map/markers',
+    randomSearch: '/search/random',
+    videoStream: '/assets/{id}/video/playback' // v3: /video -> /video/playback
+  }
+};
+
+/**
+ * Register the image and video proxy routes. Paths carry the module instance
+ * and server index, so each request is served by the client that produced
+ * the link. Registered once per Express app and shared by every client.
+ * @param {import('express').Express} expressApp
+ */
+function installRoutes(expressApp) {
+  if (!expressApp || routedApps.has(expressApp)) return;
+  routedApps.add(expressApp);
+
+  // Image route with preview -> thumbnail -> original fallback
+  Log.debug(LOG_PREFIX + 'setting up image route at ' + IMMICH_PROXY_URL);
+  expressApp.get(IMMICH_PROXY_URL + ':instance/:server/:id', async (req, res) => {
+    const client = clients.get(clientKey(req.params.instance, req.params.server));
+    if (!client || !client.http) { res.status(404).end(); return; }
+    const imageId = req.params.id;
+    const cacheKey = client.cacheKey(imageId);
+    const urls = [];
+    const conf = client.apiUrls[client.apiLevel];
+    // Order of preference for images: when preferThumbnail=true, try smaller thumbnail first
+    if (client.preferThumbnail) {
+      if (conf.assetDownload) urls.push(conf.assetDownload.replace('{id}', imageId));
+      if (conf.assetPreview) urls.push(conf.assetPreview.replace('{id}', imageId));
+    } else {
+      if (conf.assetPreview) urls.push(conf.assetPreview.replace('{id}', imageId));
+      if (conf.assetDownload) urls.push(conf.assetDownload.replace('{id}', imageId));
+    }
+    if (conf.assetOriginal) urls.push(conf.assetOriginal.replace('{id}', imageId));
+    for (let i = 0; i < urls.length; i++) {
+      const p = urls[i];
+      try {
+        if (client.debugOn) Log.info(LOG_PREFIX + `[debug] image fetch try ${i + 1}/${urls.length}: ${p}`);
+        const headers = { Accept: req.headers['accept'] || 'application/octet-stream' };
+        if (req.headers['if-none-match']) headers['If-None-Match'] = req.headers['if-none-match'];
+        if (req.headers['if-modified-since']) headers['If-Modified-Since'] = req.headers['if-modified-since'];
+        const upstream = await client.http.get(p, { responseType: 'stream', headers });
+        if ((upstream.status >= 200 && upstream.status < 300) || upstream.status === 304) {
+          // Forward upstream headers and status
+          for (const [k, v] of Object.entries(upstream.headers || {})) {
+            if (typeof v !== 'undefined' && v !== null) res.setHeader(k, v);
+          }
+          res.status(upstream.status);
+          if (upstream.status === 304) { res.end(); return; }
+          upstream.data.on('error', () => { try { res.end(); } catch (_) {} });
+          if (client.cache && upstream.status === 200) client.cache.store(cacheKey, upstream.headers['content-type'], upstream.data);
+          upstream.data.pipe(res);
+          return;
+        }
+        if (upstream.status === 404 && i < urls.length - 1) continue;
+        res.status(upstream.status).end();
+        return;
+      } catch (e) {
+        if (i < urls.length - 1) continue;
+        // Upstream unreachable: an offline mirror keeps showing what it has seen.
+        if (client.cache && client.cache.serve(cacheKey, res)) {
+          if (client.debugOn) Log.info(LOG_PREFIX + `[debug] image served from cache: ${imageId} (${e.message})`);
+          return;
+        }
+        Log.warn(LOG_PREFIX + 'image route error: ' + e.message);
+        res.status(502).end();
+        return;
+      }
+    }
+  });
+
+  // Video route with encoded -> original fallback; forward Range/conditional headers
+  Log.debug(LOG_PREFIX + 'setting up video route at ' + IMMICH_VIDEO_PROXY_URL);
+  expressApp.get(IMMICH_VIDEO_PROXY_URL + ':instance/:server/:id', async (req, res) => {
+    const client = clients.get(clientKey(req.params.instance, req.params.server));
+    if (!client || !client.http) { res.status(404).end(); return; }
+    const assetId = req.params.id;
+    const urls = [];
+    const conf = client.apiUrls[client.apiLevel];
+    if (conf.videoStream) urls.push(conf.videoStream.replace('{id}', assetId));
+    if (conf.assetOriginal) urls.push(conf.assetOriginal.replace('{id}', assetId));
+    for (let i = 0; i < urls.length; i++) {
+      const p = urls[i];
+      try {
+        const headers = { Accept: req.headers['accept'] || '*/*' };
+        if (req.headers['range']) headers['Range'] = req.headers['range'];
+        if (req.headers['if-none-match']) headers['If-None-Match'] = req.headers['if-none-match'];
+        if (req.headers['if-modified-since']) headers['If-Modified-Since'] = req.headers['if-modified-since'];
+        if (client.debugOn) Log.info(LOG_PREFIX + `[debug] video fetch try ${i + 1}/${urls.length}: ${p}`);
+        const upstream = await client.http.get(p, { responseType: 'stream', headers });
+        if ((upstream.status >= 200 && upstream.status < 300) || upstream.status === 304) {
+          for (const [k, v] of Object.entries(upstream.headers || {})) {
+            if (typeof v !== 'undefined' && v !== null) res.setHeader(k, v);
+          }
+          res.status(upstream.status);
+          if (upstream.status === 304) { res.end(); return; }
+          upstream.data.on('error', () => { try { res.end(); } catch (_) {} });
+          upstream.data.pipe(res);
+          return;
+        }
+        if (upstream.status === 404 && i < urls.length - 1) continue;
+        res.status(upstream.status).end();
+        return;
+      } catch (e) {
+        if (i < urls.length - 1) continue;
+        Log.warn(LOG_PREFIX + 'video route error: ' + e.message);
+        res.status(502).end();
+        return;
+      }
+    }
+  });
+}
 
-  apiLevel: 'v1_133',
-  apiBaseUrl: '/api',
-  http: null,
-  preferThumbnail: false,
+/**
+ * Immich client bound to one server for one module instance. Each copy of
+ * the module on a mirror (say a fullscreen mosaic and an inline frame)
+ * creates its own clients, so neither proxies through the other's server.
+ */
+class ImmichApi {
+  /**
+   * @param {string} instanceId module identifier, encoded in proxy paths
+   * @param {number|string} [serverKey] index into the normalized `immich` array
+   */
+  constructor(instanceId, serverKey) {
+    this.instanceId = String(instanceId);
+    this.serverKey = String(serverKey == null ? 0 : serverKey);
+    this.debugOn = false;
+    this.apiUrls = API_URLS;
+    this.apiLevel = 'v1_133';
+    this.apiBaseUrl = '/api';
+    this.http = null;
+    this.preferThumbnail = false;
+    /** @type {import('./mediaCache.js')|null} write-through image cache */
+    this.cache = null;
+    clients.set(clientKey(this.instanceId, this.serverKey), this);
+  }
 
   /**
-   * Initialize HTTP client and set up proxy route
+   * Unregister from the proxy routes; links handed out earlier then 404.
+   */
+  close() {
+    const key = clientKey(this.instanceId, this.serverKey);
+    if (clients.get(key) === this) clients.delete(key);
+  }
+
+  /**
+   * Initialize HTTP client and set up proxy routes
    * @param {object} config - Immich config containing url, apiKey, timeout
    * @param {import('express').Express} expressApp
    * @param {boolean} force
    */
-  init: async function (config, expressApp, force) {
+  async init(config, expressApp, force) {
     if (this.http === null || force) {
+      // Before version negotiation: with a disk cache the routes must answer
+      // even when the server is down.
+      installRoutes(expressApp);
       this.preferThumbnail = !!config.preferThumbnail;
+      // A shared link authenticates every request, proxied media included,
+      // with its key (or custom slug) as a query parameter instead of a header.
+      const headers = { Accept: 'application/json' };
+      if (config.apiKey) headers['x-api-key'] = config.apiKey;
+      let params;
+      if (config.shareKey) params = { key: config.shareKey };
+      else if (config.shareSlug) params = { slug: config.shareSlug };
       this.http = axios.create({
         baseURL: config.url + this.apiBaseUrl,
         timeout: config.timeout || 6000,
         validateStatus: (status) => status >= 200 && status < 499,
-        headers: {
-          'x-api-key': config.apiKey,
-          Accept: 'application/json'
-        }
+        headers,
+        params
       });
 
-      // Determine server version
+      // Determine server version. Negotiation only steps down, so start from
+      // the newest level again: a forced re-init after an outage (when a proxy
+      // answered 404) must be able to find a newer API than last time.
+      this.apiLevel = 'v3_0';
       let serverVersion = { major: -1, minor: -1, patch: -1 };
       try {
         Log.debug(LOG_PREFIX + 'fetching server version...');
@@ -139,113 +319,23 @@ const immichApi = {
       if (serverVersion.major > -1) {
         if (serverVersion.major >= 3) {
           this.apiLevel = 'v3_0';
-        } else if (serverVersion.major === 1) {
-          if (serverVersion.minor >= 106 && serverVersion.minor < 118) {
-            this.apiLevel = 'v1_106';
-          } else if (serverVersion.minor < 106) {
-            this.apiLevel = 'v1_94';
-          }
+        } else if (serverVersion.major === 1 && serverVersion.minor < 106) {
+          this.apiLevel = 'v1_94';
+        } else if (serverVersion.major === 1 && serverVersion.minor < 118) {
+          this.apiLevel = 'v1_106';
+        } else {
+          this.apiLevel = 'v1_133';
         }
       } else {
         throw new Error('Failed to get Immich version. Cannot proceed.');
       }
 
-      // Image route with preview -> thumbnail -> original fallback (guard against duplicates)
-      if (!this._imageProxySetup) {
-        if (this.debugOn) Log.info(LOG_PREFIX + '[debug] setting up image route at ' + IMMICH_PROXY_URL);
-        expressApp.get(IMMICH_PROXY_URL + ':id', async (req, res) => {
-          const imageId = req.params.id;
-          const urls = [];
-          const conf = this.apiUrls[this.apiLevel];
-          // Order of preference for images: when preferThumbnail=true, try smaller thumbnail first
-          if (this.preferThumbnail) {
-            if (conf.assetDownload) urls.push(conf.assetDownload.replace('{id}', imageId));
-            if (conf.assetPreview) urls.push(conf.assetPreview.replace('{id}', imageId));
-          } else {
-            if (conf.assetPreview) urls.push(conf.assetPreview.replace('{id}', imageId));
-            if (conf.assetDownload) urls.push(conf.assetDownload.replace('{id}', imageId));
-          }
-          if (conf.assetOriginal) urls.push(conf.assetOriginal.replace('{id}', imageId));
-          for (let i = 0; i < urls.length; i++) {
-            const p = urls[i];
-            try {
-              if (this.debugOn) Log.info(LOG_PREFIX + `[debug] image fetch try ${i + 1}/${urls.length}: ${p}`);
-              const headers = { Accept: req.headers['accept'] || 'application/octet-stream' };
-              if (req.headers['if-none-match']) headers['If-None-Match'] = req.headers['if-none-match'];
-              if (req.headers['if-modified-since']) headers['If-Modified-Since'] = req.headers['if-modified-since'];
-              const upstream = await this.http.get(p, { responseType: 'stream', headers });
-              if ((upstream.status >= 200 && upstream.status < 300) || upstream.status === 304) {
-                // Forward upstream headers and status
-                for (const [k, v] of Object.entries(upstream.headers || {})) {
-                  if (typeof v !== 'undefined' && v !== null) res.setHeader(k, v);
-                }
-                res.status(upstream.status);
-                if (upstream.status === 304) { res.end(); return; }
-                upstream.data.on('error', () => { try { res.end(); } catch (_) {} });
-                upstream.data.pipe(res);
-                return;
-              }
-              if (upstream.status === 404 && i < urls.length - 1) continue;
-              res.status(upstream.status).end();
-              return;
-            } catch (e) {
-              if (i < urls.length - 1) continue;
-              Log.warn(LOG_PREFIX + 'image route error: ' + e.message);
-              res.status(502).end();
-              return;
-            }
-          }
-        });
-        this._imageProxySetup = true;
-      }
-
-      // Video route with encoded -> original fallback; forward Range/conditional headers
-      if (!this._videoProxySetup) {
-        if (this.debugOn) Log.info(LOG_PREFIX + '[debug] setting up video route at ' + IMMICH_VIDEO_PROXY_URL);
-        expressApp.get(IMMICH_VIDEO_PROXY_URL + ':id', async (req, res) => {
-          const assetId = req.params.id;
-          const urls = [];
-          const conf = this.apiUrls[this.apiLevel];
-          if (conf.videoStream) urls.push(conf.videoStream.replace('{id}', assetId));
-          if (conf.assetOriginal) urls.push(conf.assetOriginal.replace('{id}', assetId));
-          for (let i = 0; i < urls.length; i++) {
-            const p = urls[i];
-            try {
-              const headers = { Accept: req.headers['accept'] || '*/*' };
-              if (req.headers['range']) headers['Range'] = req.headers['range'];
-              if (req.headers['if-none-match']) headers['If-None-Match'] = req.headers['if-none-match'];
-              if (req.headers['if-modified-since']) headers['If-Modified-Since'] = req.headers['if-modified-since'];
-              if (this.debugOn) Log.info(LOG_PREFIX + `[debug] video fetch try ${i + 1}/${urls.length}: ${p}`);
-              const upstream = await this.http.get(p, { responseType: 'stream', headers });
-              if ((upstream.status >= 200 && upstream.status < 300) || upstream.status === 304) {
-                for (const [k, v] of Object.entries(upstream.headers || {})) {
-                  if (typeof v !== 'undefined' && v !== null) res.setHeader(k, v);
-                }
-                res.status(upstream.status);
-                if (upstream.status === 304) { res.end(); return; }
-                upstream.data.on('error', () => { try { res.end(); } catch (_) {} });
-                upstream.data.pipe(res);
-                return;
-              }
-              if (upstream.status === 404 && i < urls.length - 1) continue;
-              res.status(upstream.status).end();
-              return;
-            } catch (e) {
-              if (i < urls.length - 1) continue;
-              Log.warn(LOG_PREFIX + 'video route error: ' + e.message);
-              res.status(502).end();
-              return;
-            }
-          }
-        });
-        this._videoProxySetup = true;
-      }
       if (this.debugOn) Log.info(LOG_PREFIX + '[debug] Server API level -> ' + this.apiLevel);
       else Log.debug(LOG_PREFIX + 'Server API level -> ' + this.apiLevel);
     }
-  },
+  }
 
-  getAlbumNameToIdMap: async function () {
+  async getAlbumNameToIdMap() {
     const map = new Map();
     try {
       const response = await this.http.get(this.apiUrls[this.apiLevel].albums, { responseType: 'json' });
@@ -262,9 +352,9 @@ const immichApi = {
       Log.error(LOG_PREFIX + 'Exception (albums)', e.message);
     }
     return map;
-  },
+  }
 
-  findAlbumIds: async function (albumNames) {
+  async findAlbumIds(albumNames) {
     const albumMap = await this.getAlbumNameToIdMap();
     let ids = [];
     for (const name of albumNames) {
@@ -272,15 +362,18 @@ const immichApi = {
       else Log.error(LOG_PREFIX + `no album named "${name}" (case sensitive)`);
     }
     return ids;
-  },
+  }
 
   /**
    * Fetch all assets for a single album.
    * @param {string} albumId
-   * @param {{ onPage?: (items: any[], meta: { page: number, total: number, albumId: string }) => (Promise<void>|void) }} [opts]
+   * @param {{ onPage?: (items: any[], meta: { page: number, total: number, albumId: string }) => (Promise<void>|void), withStacked?: boolean, taken?: {after: string|null, before: string|null}|null }} [opts]
    *   onPage is invoked once per page as soon as it arrives, enabling progressive rendering.
+   *   An error thrown by onPage rejects the whole call.
+   *   withStacked lists only the primary asset of each stack, with its stack details.
+   *   taken narrows v3 listings to a capture-date window; legacy listings are not narrowed.
    */
-  getAlbumAssets: async function (albumId, opts) {
+  async getAlbumAssets(albumId, opts) {
     const conf = this.apiUrls[this.apiLevel];
     const onPage = opts && typeof opts.onPage === 'function' ? opts.onPage : null;
 
@@ -293,43 +386,11 @@ const immichApi = {
         if (meta.status === 200) albumName = meta.data.albumName || null;
       } catch (_) { /* non-fatal */ }
 
-      const images = [];
-      let page = 1;
-      // Try large page sizes first; server may cap. Fall back on 400/422.
-      let size = 1000;
-      while (true) {
-        const body = { albumIds: [albumId], size, page };
-        let res;
-        try {
-          res = await this.http.post(conf.albumAssetsSearch, body, { responseType: 'json' });
-        } catch (e) {
-          Log.error(LOG_PREFIX + `Exception (albumAssetsSearch) album=${albumId} page=${page}: ${e.message}`);
-          break;
-        }
-        if (res.status === 400 || res.status === 422) {
-          if (size > 250) { size = size === 1000 ? 500 : 250; continue; }
-          Log.error(LOG_PREFIX + `search/metadata rejected page=${page} size=${size} status=${res.status}`);
-          break;
-        }
-        if (res.status !== 200) {
-          Log.error(LOG_PREFIX + `search/metadata unexpected status ${res.status} ${res.statusText} album=${albumId} page=${page}`);
-          break;
-        }
-        const items = (res.data && res.data.assets && Array.isArray(res.data.assets.items)) ? res.data.assets.items : [];
-        const total = (res.data && res.data.assets && Number(res.data.assets.total)) || 0;
-        if (albumName) items.forEach((img) => (img.albumName = albumName));
-        images.push(...items);
-        if (onPage && items.length) {
-          try { await onPage(items, { page, total, albumId }); } catch (e) { Log.warn(LOG_PREFIX + `onPage error: ${e.message}`); }
-        }
-        if (this.debugOn) Log.info(LOG_PREFIX + `[debug] album ${albumId} page=${page} got=${items.length} total=${total} accum=${images.length}`);
-        const next = res.data && res.data.assets && res.data.assets.nextPage;
-        if (!items.length || !next) break;
-        const nextPageNum = Number(next);
-        if (!Number.isFinite(nextPageNum) || nextPageNum <= page) break;
-        page = nextPageNum;
-      }
-      return images;
+      return this._pageSearch({ albumIds: [albumId] }, opts, {
+        label: `album=${albumId}`,
+        meta: { albumId },
+        prepare: albumName ? (items) => items.map((img) => Object.assign(img, { albumName })) : null
+      });
     }
 
     // Legacy (v1.x): assets are inline on /albums/{id}.
@@ -341,9 +402,6 @@ const immichApi = {
         if (response.data.albumName) {
           images.forEach((img) => (img.albumName = response.data.albumName));
         }
-        if (onPage && images.length) {
-          try { await onPage(images, { page: 1, total: images.length, albumId }); } catch (e) { Log.warn(LOG_PREFIX + `onPage error: ${e.message}`); }
-        }
         if (this.debugOn) Log.info(LOG_PREFIX + `[debug] album ${albumId} assets: ${images.length}`);
       } else if (response.status === 200) {
         Log.error(LOG_PREFIX + `albumInfo response missing assets array; keys=${Object.keys(response.data || {}).join(',')}`);
@@ -353,52 +411,217 @@ const immichApi = {
     } catch (e) {
       Log.error(LOG_PREFIX + 'Exception (albumInfo)', e.message);
     }
+    // Outside the try above: an onPage failure must fail the load, not be logged away.
+    if (onPage && images.length) await onPage(images, { page: 1, total: images.length, albumId });
     return images;
-  },
+  }
+
+  /**
+   * Page through /search/metadata for `filter`, with full asset records.
+   * @param {object} filter search fields
+   * @param {{ onPage?: Function, withStacked?: boolean, taken?: {after: string|null, before: string|null}|null }} [opts]
+   *   as for getAlbumAssets
+   * @param {{ label: string, meta: object, prepare?: ((items: any[]) => any[])|null }} page
+   *   log label, extra `onPage` meta fields, and a hook that tags or thins each page first
+   * @returns {Promise<any[]>}
+   */
+  async _pageSearch(filter, opts, { label, meta, prepare }) {
+    const url = this.apiUrls[this.apiLevel].metadataSearch;
+    const onPage = opts && typeof opts.onPage === 'function' ? opts.onPage : null;
+    const images = [];
+    let page = 1;
+    // Try large page sizes first; server may cap. Fall back on 400/422.
+    let size = 1000;
+    while (true) {
+      const body = Object.assign({}, filter, { size, page, withExif: true, withPeople: true });
+      if (opts && opts.withStacked) body.withStacked = true;
+      if (opts && opts.taken && opts.taken.after) body.takenAfter = opts.taken.after;
+      if (opts && opts.taken && opts.taken.before) body.takenBefore = opts.taken.before;
+      let res;
+      try {
+        res = await this.http.post(url, body, { responseType: 'json' });
+      } catch (e) {
+        Log.error(LOG_PREFIX + `Exception (search/metadata) ${label} page=${page}: ${e.message}`);
+        break;
+      }
+      if (res.status === 400 || res.status === 422) {
+        if (size > 250) { size = size === 1000 ? 500 : 250; continue; }
+        Log.error(LOG_PREFIX + `search/metadata rejected page=${page} size=${size} status=${res.status}`);
+        break;
+      }
+      if (res.status !== 200) {
+        Log.error(LOG_PREFIX + `search/metadata unexpected status ${res.status} ${res.statusText} ${label} page=${page}`);
+        break;
+      }
+      const got = (res.data && res.data.assets && Array.isArray(res.data.assets.items)) ? res.data.assets.items : [];
+      const total = (res.data && res.data.assets && Number(res.data.assets.total)) || 0;
+      const items = prepare ? prepare(got) : got;
+      images.push(...items);
+      if (onPage && items.length) {
+        // Not caught: a page the caller could not take would leave the pool incomplete.
+        await onPage(items, Object.assign({ page, total }, meta));
+      }
+      if (this.debugOn) Log.info(LOG_PREFIX + `[debug] ${label} page=${page} got=${got.length} total=${total} accum=${images.length}`);
+      const next = res.data && res.data.assets && res.data.assets.nextPage;
+      if (!got.length || !next) break;
+      const nextPageNum = Number(next);
+      if (!Number.isFinite(nextPageNum) || nextPageNum <= page) break;
+      page = nextPageNum;
+    }
+    return images;
+  }
 
   /**
    * Fetch assets across multiple albums sequentially.
    * @param {string[]} albumIds
-   * @param {{ onPage?: (items: any[], meta: { page: number, total: number, albumId: string }) => (Promise<void>|void) }} [opts]
+   * @param {{ onPage?: (items: any[], meta: { page: number, total: number, albumId: string }) => (Promise<void>|void), withStacked?: boolean, taken?: object|null }} [opts]
    */
-  getAlbumAssetsForAlbumIds: async function (albumIds, opts) {
+  async getAlbumAssetsForAlbumIds(albumIds, opts) {
     let images = [];
     for (const id of albumIds) {
       const current = await this.getAlbumAssets(id, opts);
       if (current && current.length) images = images.concat(current);
     }
     return images;
-  },
+  }
 
-  getMemoryLaneAssets: async function (numDays) {
-    let images = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+  /**
+   * Assets of the shared link the client was initialized with. Individual
+   * shares list their assets directly; album shares list the album's,
+   * inline on older servers and through the timeline on newer ones.
+   * @returns {Promise<object[]>}
+   */
+  async getSharedLinkAssets() {
+    const conf = this.apiUrls[this.apiLevel];
+    const res = await this.http.get(conf.sharedLink, { responseType: 'json' });
+    if (res.status === 401 || res.status === 403) {
+      throw new Error('shared link rejected (expired, removed, or password-protected)');
+    }
+    if (res.status !== 200) throw new Error(`unexpected response (shared link) ${res.status} ${res.statusText}`);
+    const link = res.data || {};
+    const album = link.album || null;
+    const albumName = album ? (album.albumName || null) : null;
+    const tag = (items) => {
+      if (albumName) items.forEach((img) => (img.albumName = albumName));
+      return items;
+    };
+    if (Array.isArray(link.assets) && link.assets.length) return tag(link.assets);
+    if (!album) return [];
+
+    try {
+      const info = await this.http.get(conf.albumInfo.replace('{id}', album.id), { responseType: 'json' });
+      if (info.status === 200 && Array.isArray(info.data && info.data.assets) && info.data.assets.length) {
+        return tag(info.data.assets);
+      }
+    } catch (e) {
+      Log.warn(LOG_PREFIX + 'Exception (shared album info)', e.message);
+    }
+    if (!conf.timelineBuckets) return [];
+    return tag(await this._timelineAssets({ albumId: album.id }));
+  }
+
+  /**
+   * Every asset of a timeline (e.g. one album), bucket by bucket. Servers
+   * before v1.133 return asset objects; newer ones return columns, which
+   * are turned into minimal asset records.
+   * @param {object} filter timeline query fields
+   * @returns {Promise<object[]>}
+   */
+  async _timelineAssets(filter) {
+    const conf = this.apiUrls[this.apiLevel];
+    const query = Object.assign({ size: 'MONTH' }, filter);
+    const res = await this.http.get(conf.timelineBuckets, { params: query, responseType: 'json' });
+    if (res.status !== 200 || !Array.isArray(res.data)) {
+      throw new Error(`unexpected response (timeline buckets) ${res.status} ${res.statusText}`);
+    }
+    const assets = [];
+    for (const bucket of res.data) {
+      const page = await this.http.get(conf.timelineBucket, {
+        params: Object.assign({}, query, { timeBucket: bucket.timeBucket }),
+        responseType: 'json'
+      });
+      if (page.status !== 200) {
+        Log.warn(LOG_PREFIX + `timeline bucket ${bucket.timeBucket}: ${page.status} ${page.statusText}`);
+        continue;
+      }
+      const data = page.data;
+      if (Array.isArray(data)) {
+        assets.push(...data);
+        continue;
+      }
+      const ids = (data && data.id) || [];
+      for (let i = 0; i < ids.length; i++) {
+        const ratio = Number(data.ratio && data.ratio[i]) || 0;
+        assets.push({
+          id: ids[i],
+          type: data.isImage && data.isImage[i] === false ? 'VIDEO' : 'IMAGE',
+          fileCreatedAt: data.fileCreatedAt ? data.fileCreatedAt[i] : null,
+          isFavorite: !!(data.isFavorite && data.isFavorite[i]),
+          // Only the aspect ratio is known; tiles need no more.
+          width: ratio ? Math.round(ratio * 1000) : null,
+          height: ratio ? 1000 : null,
+          exifInfo: {
+            city: data.city ? data.city[i] : null,
+            country: data.country ? data.country[i] : null
+          }
+        });
+      }
+    }
+    if (this.debugOn) Log.info(LOG_PREFIX + `[debug] timeline ${JSON.stringify(filter)}: ${assets.length} asset(s)`);
+    return assets;
+  }
+
+  /**
+   * Memories of the last `numDays` days, today first, each kept as a group.
+   * A memory listed on several of those days, and an asset in several
+   * memories, is returned once (in the most recent).
+   * @param {number} numDays
+   * @returns {Promise<{id: string, title: string|null, year: number|null, at: string, assets: object[]}[]>}
+   *   `at` is the day the memory is for; `year` the year its photos are from
+   */
+  async getMemories(numDays) {
+    const groups = [];
+    const seenMemories = new Set();
+    const seenAssets = new Set();
+    const modern = this.apiLevel === 'v1_133' || this.apiLevel === 'v3_0';
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
     for (let i = 0; i < numDays; i++) {
-      const params =
-        (this.apiLevel === 'v1_133' || this.apiLevel === 'v3_0')
-          ? { for: today.toISOString(), type: 'on_this_day' }
-          : { day: today.getDate(), month: today.getMonth() + 1 };
+      // Without a `type` the current API lists every kind of memory.
+      const params = modern ? { for: day.toISOString() } : { day: day.getDate(), month: day.getMonth() + 1 };
       try {
         const response = await this.http.get(this.apiUrls[this.apiLevel].memoryLane, { params, responseType: 'json' });
         if (response.status === 200) {
-          response.data.forEach((m) => (images = m.assets.concat(images)));
-          if (this.debugOn) Log.info(LOG_PREFIX + `[debug] memory lane day ${today.toISOString()} count: ${response.data.length}`);
+          const list = Array.isArray(response.data) ? response.data : [];
+          list.forEach((m, pos) => {
+            // The memory lane of older servers has no IDs; its groups are per
+            // day and year. `yearsAgo` may be missing, so the position in the
+            // response keeps two memories of one day apart.
+            const yearsAgo = Number(m.yearsAgo);
+            const id = m.id || `${day.getMonth() + 1}-${day.getDate()}-${yearsAgo}-${pos}`;
+            if (seenMemories.has(id)) return;
+            seenMemories.add(id);
+            const assets = (m.assets || []).filter((a) => a && !seenAssets.has(a.id) && seenAssets.add(a.id));
+            if (!assets.length) return;
+            const year = Number(m.data && m.data.year) || (yearsAgo > 0 ? day.getFullYear() - yearsAgo : null);
+            groups.push({ id, title: m.title || null, year, at: day.toISOString(), assets });
+          });
+          if (this.debugOn) Log.info(LOG_PREFIX + `[debug] memories for ${day.toISOString()}: ${response.data.length}`);
         } else {
           Log.error(LOG_PREFIX + 'unexpected response (memoryLane)', response.status, response.statusText);
         }
       } catch (e) {
         Log.error(LOG_PREFIX + 'Exception (memoryLane)', e.message);
       }
-      today.setDate(today.getDate() - 1);
+      day.setDate(day.getDate() - 1);
     }
-    return images;
-  },
+    return groups;
+  }
 
-  searchAssets: async function (query, size) {
+  async searchAssets(query, size) {
     let images = [];
     try {
-      const body = { ...(query || {}), size: size || 100 };
+      const body = { withExif: true, ...(query || {}), size: size || 100 };
       if (this.debugOn) Log.info(LOG_PREFIX + '[debug] search body ' + JSON.stringify(body));
       const response = await this.http.post(this.apiUrls[this.apiLevel].search, body, { responseType: 'json' });
       if (response.status === 200) images = response.data.assets?.items || response.data.items || response.data || [];
@@ -407,12 +630,12 @@ const immichApi = {
       Log.error(LOG_PREFIX + 'Exception (search)', e.message);
     }
     return images;
-  },
+  }
 
-  randomSearchAssets: async function (size, query) {
+  async randomSearchAssets(size, query) {
     let images = [];
     try {
-      const body = { size: size || 100, ...(query || {}) };
+      const body = { size: size || 100, withExif: true, withPeople: true, ...(query || {}) };
       if (this.debugOn) Log.info(LOG_PREFIX + '[debug] random body ' + JSON.stringify(body));
       const response = await this.http.post(this.apiUrls[this.apiLevel].randomSearch, body, { responseType: 'json' });
       if (response.status === 200) images = response.data || [];
@@ -421,9 +644,9 @@ const immichApi = {
       Log.error(LOG_PREFIX + 'Exception (random)', e.message);
     }
     return images;
-  },
+  }
 
-  anniversarySearchAssets: async function (datesBack, datesForward, startYear, endYear, querySize, query) {
+  async anniversarySearchAssets(datesBack, datesForward, startYear, endYear, querySize, query) {
     let images = [];
     const today = new Date();
     const currentDay = today.getDate();
@@ -445,6 +668,8 @@ const immichApi = {
         const yStart = new Date(searchStartYear, startMonth, startDay);
         const yEnd = new Date(searchEndYear, endMonth, endDay);
         const body = {
+          withExif: true,
+          withPeople: true,
           ...(query || {}),
           size: querySize || 100,
           takenAfter: yStart.toISOString().split('T')[0] + 'T00:00:00.000Z',
@@ -461,9 +686,259 @@ const immichApi = {
       Log.error(LOG_PREFIX + 'Exception (anniversary)', e.message);
     }
     return images;
-  },
+  }
+
+  /**
+   * Map each person name to the IDs of every face cluster carrying it.
+   * Immich often keeps several unmerged clusters under one name, so a name
+   * can resolve to more than one ID. Names are compared case-insensitively.
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  async getPeopleNameToIdsMap() {
+    const map = new Map();
+    let page = 1;
+    try {
+      while (true) {
+        const response = await this.http.get(this.apiUrls[this.apiLevel].people, {
+          params: { withHidden: true, page, size: 1000 },
+          responseType: 'json'
+        });
+        if (response.status !== 200) {
+          Log.error(LOG_PREFIX + 'unexpected response (people)', response.status, response.statusText);
+          break;
+        }
+        const people = Array.isArray(response.data) ? response.data : (response.data && response.data.people) || [];
+        for (const person of people) {
+          const name = (person.name || '').trim().toLowerCase();
+          if (!name) continue;
+          if (!map.has(name)) map.set(name, []);
+          map.get(name).push(person.id);
+        }
+        if (this.debugOn) Log.info(LOG_PREFIX + `[debug] people page=${page} got=${people.length}`);
+        // Servers before v1.112 ignore paging and return everyone at once.
+        if (!response.data || response.data.hasNextPage !== true || !people.length) break;
+        page++;
+      }
+    } catch (e) {
+      Log.error(LOG_PREFIX + 'Exception (people)', e.message);
+    }
+    return map;
+  }
 
-  getAssetInfo: async function (imageId) {
+  /**
+   * Resolve person names to face-cluster IDs.
+   * @param {string[]} names
+   * @returns {Promise<{name: string, ids: string[]}[]>} one entry per name found
+   */
+  async findPeople(names) {
+    const peopleMap = await this.getPeopleNameToIdsMap();
+    const found = [];
+    for (const name of names) {
+      const ids = peopleMap.get(String(name).trim().toLowerCase());
+      if (ids && ids.length) found.push({ name, ids });
+      else Log.error(LOG_PREFIX + `no person named "${name}" (names are set under Explore → People)`);
+    }
+    return found;
+  }
+
+  /** True when the server can list assets by person via /search/metadata. */
+  canSearchMetadata() {
+    return !!this.apiUrls[this.apiLevel].metadataSearch;
+  }
+
+  /**
+   * IDs of every asset showing the given person.
+   * @param {string} personId
+   * @returns {Promise<Set<string>>}
+   */
+  async getPersonAssetIds(personId) {
+    return this._searchAssetIds({ personIds: [personId] }, `person=${personId}`);
+  }
+
+  /**
+   * Fetch the assets of several tags, tag by tag. An asset carrying more
+   * than one of them is returned (and passed to `onPage`) once.
+   * @param {string[]} tagIds
+   * @param {{ onPage?: (items: any[], meta: { page: number, total: number, tagId: string }) => (Promise<void>|void), withStacked?: boolean, taken?: object|null }} [opts]
+   *   as for getAlbumAssets
+   * @returns {Promise<any[]>}
+   */
+  async getTagAssetsForTagIds(tagIds, opts) {
+    if (!this.canSearchMetadata()) {
+      Log.error(LOG_PREFIX + `tags need Immich v1.118 or newer (server API level ${this.apiLevel})`);
+      return [];
+    }
+    const seen = new Set();
+    const prepare = (items) => items.filter((img) => !seen.has(img.id) && seen.add(img.id));
+    let images = [];
+    for (const tagId of tagIds) {
+      const current = await this._pageSearch({ tagIds: [tagId] }, opts, { label: `tag=${tagId}`, meta: { tagId }, prepare });
+      images = images.concat(current);
+    }
+    return images;
+  }
+
+  /**
+   * Fetch the assets of several places, place by place. Each filter holds
+   * `city`/`state`/`country` fields; a null field matches assets without
+   * one. An asset is returned (and passed to `onPage`) once.
+   * @param {object[]} filters
+   * @param {{ onPage?: (items: any[], meta: { page: number, total: number, place: object }) => (Promise<void>|void), withStacked?: boolean, taken?: object|null, ids?: Set<string>|null }} [opts]
+   *   as for getAlbumAssets; `ids` keeps only those assets
+   * @returns {Promise<any[]>}
+   */
+  async getPlaceAssets(filters, opts) {
+    if (!this.canSearchMetadata()) {
+      Log.error(LOG_PREFIX + `places need Immich v1.118 or newer (server API level ${this.apiLevel})`);
+      return [];
+    }
+    const only = opts && opts.ids ? opts.ids : null;
+    const seen = new Set();
+    const prepare = (items) => items.filter((img) => (!only || only.has(img.id)) && !seen.has(img.id) && seen.add(img.id));
+    let images = [];
+    for (const place of filters) {
+      const current = await this._pageSearch(place, opts, { label: `place=${JSON.stringify(place)}`, meta: { place }, prepare });
+      images = images.concat(current);
+    }
+    return images;
+  }
+
+  /**
+   * Position and place names of every geotagged asset.
+   * @returns {Promise<{id: string, lat: number, lon: number, city: string|null, state: string|null, country: string|null}[]>}
+   */
+  async getMapMarkers() {
+    const url = this.apiUrls[this.apiLevel].mapMarkers;
+    if (!url) {
+      Log.error(LOG_PREFIX + `map markers need Immich v1.118 or newer (server API level ${this.apiLevel})`);
+      return [];
+    }
+    try {
+      const response = await this.http.get(url, { responseType: 'json' });
+      if (response.status === 200 && Array.isArray(response.data)) {
+        if (this.debugOn) Log.info(LOG_PREFIX + `[debug] map markers: ${response.data.length}`);
+        return response.data;
+      }
+      Log.error(LOG_PREFIX + 'unexpected response (map markers)', response.status, response.statusText);
+    } catch (e) {
+      Log.error(LOG_PREFIX + 'Exception (map markers)', e.message);
+    }
+    return [];
+  }
+
+  /**
+   * IDs of every asset in the given album. Where albums page through
+   * /search/metadata this asks for IDs only; older servers list the album
+   * inline, full records and all, in one request.
+   * @param {string} albumId
+   * @returns {Promise<Set<string>>}
+   */
+  async getAlbumAssetIds(albumId) {
+    if (this.apiUrls[this.apiLevel].albumAssetsSearch) return this._searchAssetIds({ albumIds: [albumId] }, `album=${albumId}`);
+    return new Set((await this.getAlbumAssets(albumId)).map((asset) => asset.id));
+  }
+
+  /**
+   * IDs of every asset carrying the given tag.
+   * @param {string} tagId
+   * @returns {Promise<Set<string>>}
+   */
+  async getTagAssetIds(tagId) {
+    return this._searchAssetIds({ tagIds: [tagId] }, `tag=${tagId}`);
+  }
+
+  /**
+   * Page through /search/metadata for `filter`, collecting asset IDs only.
+   * @param {object} filter search fields
+   * @param {string} label for log lines
+   * @returns {Promise<Set<string>>}
+   */
+  async _searchAssetIds(filter, label) {
+    const ids = new Set();
+    const url = this.apiUrls[this.apiLevel].metadataSearch;
+    let page = 1;
+    while (true) {
+      let res;
+      try {
+        res = await this.http.post(url, Object.assign({}, filter, { size: 1000, page }), { responseType: 'json' });
+      } catch (e) {
+        Log.error(LOG_PREFIX + `Exception (asset ids) ${label} page=${page}: ${e.message}`);
+        break;
+      }
+      if (res.status !== 200) {
+        Log.error(LOG_PREFIX + `search/metadata unexpected status ${res.status} ${res.statusText} ${label} page=${page}`);
+        break;
+      }
+      const items = (res.data && res.data.assets && Array.isArray(res.data.assets.items)) ? res.data.assets.items : [];
+      items.forEach((asset) => ids.add(asset.id));
+      const next = Number(res.data && res.data.assets && res.data.assets.nextPage);
+      if (!items.length || !Number.isFinite(next) || next <= page) break;
+      page = next;
+    }
+    if (this.debugOn) Log.info(LOG_PREFIX + `[debug] ${label} assets: ${ids.size}`);
+    return ids;
+  }
+
+  /**
+   * Resolve tag names to IDs. A name matches a tag's full path
+   * ("Documents/Receipts") or its last segment ("Receipts"),
+   * case-insensitively, so one name can match several tags.
+   * @param {string[]} names
+   * @returns {Promise<{name: string, ids: string[]}[]>} one entry per name found
+   */
+  async findTags(names) {
+    const url = this.apiUrls[this.apiLevel].tags;
+    if (!url) {
+      Log.error(LOG_PREFIX + `tags need Immich v1.118 or newer (server API level ${this.apiLevel})`);
+      return [];
+    }
+    let tags = [];
+    try {
+      const response = await this.http.get(url, { responseType: 'json' });
+      if (response.status === 200 && Array.isArray(response.data)) tags = response.data;
+      else Log.error(LOG_PREFIX + 'unexpected response (tags)', response.status, response.statusText);
+    } catch (e) {
+      Log.error(LOG_PREFIX + 'Exception (tags)', e.message);
+    }
+    const found = [];
+    for (const name of names) {
+      const key = String(name).trim().toLowerCase();
+      const ids = tags
+        .filter((t) => String(t.value || '').toLowerCase() === key || String(t.name || '').toLowerCase() === key)
+        .map((t) => t.id);
+      if (ids.length) found.push({ name, ids });
+      else Log.error(LOG_PREFIX + `no tag named "${name}"`);
+    }
+    return found;
+  }
+
+  /**
+   * Full records of the given assets, fetched one by one (a few at a time).
+   * Assets that cannot be read are left out.
+   * @param {string[]} ids
+   * @returns {Promise<object[]>}
+   */
+  async getAssetsById(ids) {
+    const url = this.apiUrls[this.apiLevel].assetInfo;
+    const assets = [];
+    for (let i = 0; i < ids.length; i += 8) {
+      const batch = await Promise.all(ids.slice(i, i + 8).map(async (id) => {
+        try {
+          const res = await this.http.get(url.replace('{id}', id), { responseType: 'json' });
+          if (res.status === 200 && res.data && res.data.id) return res.data;
+          Log.warn(LOG_PREFIX + `unexpected response (assetInfo) ${id}: ${res.status} ${res.statusText}`);
+        } catch (e) {
+          Log.warn(LOG_PREFIX + `Exception (assetInfo) ${id}: ${e.message}`);
+        }
+        return null;
+      }));
+      assets.push(...batch.filter(Boolean));
+    }
+    if (this.debugOn) Log.info(LOG_PREFIX + `[debug] assets by id: ${assets.length}/${ids.length}`);
+    return assets;
+  }
+
+  async getAssetInfo(imageId) {
     let assetInfo = { exifInfo: [], people: [] };
     try {
       const res = await this.http.get(this.apiUrls[this.apiLevel].assetInfo.replace('{id}', imageId), { responseType: 'json' });
@@ -475,9 +950,9 @@ const immichApi = {
       Log.error(LOG_PREFIX + 'Exception (assetInfo)', e.message);
     }
     return assetInfo;
-  },
+  }
 
-  getBase64EncodedAsset: async function (imageId) {
+  async getBase64EncodedAsset(imageId) {
     let base64Image = null;
     try {
       const bin = await this.http.get(this.apiUrls[this.apiLevel].assetDownload.replace('{id}', imageId), {
@@ -492,15 +967,29 @@ const immichApi = {
       Log.error(LOG_PREFIX + 'Exception (asset blob)', e.message);
     }
     return base64Image;
-  },
+  }
 
-  getImageLink: function (imageId) {
-    return IMMICH_PROXY_URL + imageId;
-  },
+  getImageLink(imageId) {
+    return IMMICH_PROXY_URL + this._routePrefix() + imageId;
+  }
 
-  getVideoLink: function (imageId) {
-    return IMMICH_VIDEO_PROXY_URL + imageId;
+  getVideoLink(imageId) {
+    return IMMICH_VIDEO_PROXY_URL + this._routePrefix() + imageId;
   }
-};
 
-module.exports = immichApi;
+  /**
+   * Key of an image in the disk cache: the server and asset rather than the
+   * proxy path, which embeds the module's identifier.
+   * @param {string} imageId
+   * @returns {string}
+   */
+  cacheKey(imageId) {
+    return this.http.defaults.baseURL + '/' + imageId;
+  }
+
+  _routePrefix() {
+    return encodeURIComponent(this.instanceId) + '/' + this.serverKey + '/';
+  }
+}
+
+module.exports = ImmichApi;
@@ -0,0 +1,192 @@
+// modules/MMM-ImmichTileSlideShow/mediaCache.js
+// Bounded on-disk cache for proxied media and the last good asset list, so
+// the mirror keeps showing photos while Immich (or the Wi-Fi) is down.
+
+const Log = require('logger');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_PREFIX = 'MMM-ImmichTileSlideShow :: cache :: ';
+
+/** File extension per cached content type; `res.sendFile` derives the type back from it. */
+const EXT_BY_TYPE = {
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/avif': '.avif',
+  'image/heic': '.heic'
+};
+
+/** Caches by absolute directory, so instances sharing a dir share one size budget. */
+const opened = new Map();
+
+/** Numbers temp files, so concurrent downloads of one asset never share one. */
+let tmpCounter = 0;
+
+function hashKey(key) {
+  return crypto.createHash('sha1').update(String(key)).digest('hex');
+}
+
+class MediaCache {
+  /**
+   * Open (or reuse) the cache rooted at `dir`. Throws when the directory
+   * cannot be created; callers treat that as "run without a cache".
+   * @param {string} dir absolute directory
+   * @param {number} maxMB size budget for cached media
+   * @returns {MediaCache}
+   */
+  static open(dir, maxMB) {
+    const abs = path.resolve(dir);
+    let cache = opened.get(abs);
+    if (!cache) {
+      cache = new MediaCache(abs);
+      opened.set(abs, cache);
+    }
+    cache.maxBytes = Math.max(1, Number(maxMB) || 1) * 1024 * 1024;
+    return cache;
+  }
+
+  constructor(dir) {
+    this.dir = dir;
+    this.mediaDir = path.join(dir, 'media');
+    this.maxBytes = 0;
+    /** @type {Map<string, {file: string, size: number, used: number}>} */
+    this.entries = new Map();
+    this.total = 0;
+    fs.mkdirSync(this.mediaDir, { recursive: true });
+    // Rebuild the index from disk; mtime doubles as the last-used time.
+    for (const file of fs.readdirSync(this.mediaDir)) {
+      const full = path.join(this.mediaDir, file);
+      if (file.endsWith('.tmp')) {
+        try { fs.unlinkSync(full); } catch (_) {}
+        continue;
+      }
+      try {
+        const st = fs.statSync(full);
+        this.entries.set(file.replace(/\..*$/, ''), { file, size: st.size, used: st.mtimeMs });
+        this.total += st.size;
+      } catch (_) { /* raced with a delete */ }
+    }
+    Log.info(LOG_PREFIX + `opened ${dir} (${this.entries.size} file(s), ${Math.round(this.total / 1048576)} MB)`);
+  }
+
+  /**
+   * Write a media stream through to disk while it is piped elsewhere. The
+   * entry only becomes visible once the stream completed, so an aborted
+   * download never serves a truncated image.
+   * @param {string} key proxy path of the media
+   * @param {string} contentType upstream Content-Type
+   * @param {import('stream').Readable} stream upstream body
+   */
+  store(key, contentType, stream) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const ext = EXT_BY_TYPE[type];
+    if (!ext) return; // only images are cached; videos stream with Range requests
+    const hash = hashKey(key);
+    const file = hash + ext;
+    // Unique per download: a prefetch and a display of the same asset, or two
+    // processes sharing the directory, may write it at the same time.
+    const tmp = path.join(this.mediaDir, `${hash}.${process.pid}-${++tmpCounter}.tmp`);
+    const out = fs.createWriteStream(tmp);
+    let failed = false;
+    const fail = () => {
+      if (failed) return;
+      failed = true;
+      out.destroy();
+      fs.unlink(tmp, () => {});
+    };
+    stream.on('error', fail);
+    stream.on('aborted', fail);
+    out.on('error', fail);
+    out.on('finish', () => {
+      if (failed) return;
+      fs.rename(tmp, path.join(this.mediaDir, file), (err) => {
+        if (err) { fail(); return; }
+        this._remember(hash, file, out.bytesWritten);
+      });
+    });
+    stream.pipe(out);
+  }
+
+  /**
+   * Serve a cached copy of `key`, if there is one.
+   * @param {string} key proxy path of the media
+   * @param {import('express').Response} res
+   * @returns {boolean} true when the response was handed to the cache
+   */
+  serve(key, res) {
+    const entry = this.entries.get(hashKey(key));
+    if (!entry) return false;
+    const full = path.join(this.mediaDir, entry.file);
+    entry.used = Date.now();
+    fs.utimes(full, new Date(), new Date(), () => {});
+    res.sendFile(full, (err) => {
+      if (err && !res.headersSent) res.status(502).end();
+    });
+    return true;
+  }
+
+  /**
+   * Persist the last good asset list of a library.
+   * @param {string} name library name
+   * @param {object[]} images tile records
+   */
+  savePool(name, images) {
+    const file = this._poolFile(name);
+    const tmp = file + '.tmp';
+    fs.writeFile(tmp, JSON.stringify({ savedAt: new Date().toISOString(), images }), (err) => {
+      if (err) {
+        Log.warn(LOG_PREFIX + 'could not save asset list: ' + err.message);
+        return;
+      }
+      fs.rename(tmp, file, () => {});
+    });
+  }
+
+  /**
+   * @param {string} name library name
+   * @returns {{savedAt: string, images: object[]}|null}
+   */
+  loadPool(name) {
+    try {
+      const data = JSON.parse(fs.readFileSync(this._poolFile(name), 'utf8'));
+      return data && Array.isArray(data.images) ? data : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _poolFile(name) {
+    return path.join(this.dir, 'pool-' + String(name).replace(/[^\w.-]/g, '_') + '.json');
+  }
+
+  _remember(hash, file, size) {
+    const prev = this.entries.get(hash);
+    if (prev) {
+      this.total -= prev.size;
+      if (prev.file !== file) fs.unlink(path.join(this.mediaDir, prev.file), () => {});
+    }
+    this.entries.set(hash, { file, size, used: Date.now() });
+    this.total += size;
+    if (this.total > this.maxBytes) this._evict();
+  }
+
+  /** Drop least-recently-used media until the cache is back under 90% of its budget. */
+  _evict() {
+    const target = this.maxBytes * 0.9;
+    const byAge = Array.from(this.entries.entries()).sort((a, b) => a[1].used - b[1].used);
+    let dropped = 0;
+    for (const [hash, entry] of byAge) {
+      if (this.total <= target) break;
+      this.entries.delete(hash);
+      this.total -= entry.size;
+      fs.unlink(path.join(this.mediaDir, entry.file), () => {});
+      dropped++;
+    }
+    Log.debug(LOG_PREFIX + `evicted ${dropped} file(s), ${Math.round(this.total / 1048576)} MB kept`);
+  }
+}
+
+module.exports = MediaCache;
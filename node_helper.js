@@ -12,9 +12,18 @@ const NodeHelper = require("node_helper");
 const Log = require("logger");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 
 const LOG_PREFIX = "MMM-ImmichTileSlideShow :: helper :: ";
 
+// Backoff for probing the preferred Immich server while a fallback serves.
+const FAILBACK_BASE_MS = 30 * 1000;
+const FAILBACK_MAX_MS = 30 * 60 * 1000;
+
+// With display history, media still cooling down are brought back rather
+// than letting the pool shrink below this.
+const HISTORY_MIN_POOL = 100;
+
 function dlog(ctx, ...args) {
   if (ctx && ctx.config && ctx.config.debug) {
     Log.info(LOG_PREFIX + "[debug]", ...args);
@@ -31,15 +40,30 @@ function dlog(ctx, ...args) {
  * @property {string} [posterSrc]
  * @property {string} [takenAt]
  * @property {string} [albumName]
+ * @property {number} [server] index of the Immich server the media came from
+ * @property {string[]} [people] names of the people recognized in the media
+ * @property {string} [city]
+ * @property {string} [country]
+ * @property {string} [camera] make and model
+ * @property {string} [lens]
+ * @property {string} [description]
  * @property {number} [w]
  * @property {number} [h]
+ * @property {{x: number, y: number}} [focus] point to keep in the crop, as fractions of width/height
+ * @property {boolean} [favorite] starred in Immich
+ * @property {number} [shownAt] when display history last recorded it shown (ms since epoch)
+ * @property {number} [weight] times shown per pass over the pool (boosted favorites, small merged servers)
+ * @property {string} [id] Immich asset ID
+ * @property {{id: string, title: string|null, year: number|null, at: string}|null} [memory]
+ *   the Immich memory the media belongs to (memory source only)
  */
 
 module.exports = NodeHelper.create({
   requiresVersion: "2.1.0",
 
   start() {
-    this.config = null;
+    /** @type {Map<string, object>} per-module-instance state, keyed by identifier */
+    this.instances = new Map();
     Log.info(LOG_PREFIX + "started");
     try {
       // Ensure a PNG screenshot exists for README reference (generated locally)
@@ -58,12 +82,13 @@ module.exports = NodeHelper.create({
    */
   socketNotificationReceived(notification, payload) {
     if (notification === "IMMICH_TILES_REGISTER") {
+      const inst = this._instance(payload && payload.identifier);
       // The frontend sends an already-normalized v2 config (configSchema.js),
       // so no defaulting or legacy handling is needed here.
-      this.config = payload && payload.config ? payload.config : {};
-      Log.info(LOG_PREFIX + "register received");
-      const immichCfg = activeImmich(this.config) || {};
-      dlog(this, "incoming config", {
+      inst.config = payload && payload.config ? payload.config : {};
+      Log.info(LOG_PREFIX + "register received from " + inst.identifier);
+      const immichCfg = activeImmich(inst.config) || {};
+      dlog(inst, "incoming config", {
         source: immichCfg.source,
         url: immichCfg.url,
         hasApiKey: !!immichCfg.apiKey,
@@ -72,37 +97,278 @@ module.exports = NodeHelper.create({
         albumIds: immichCfg.albumIds,
         size: immichCfg.size
       });
-      if (activeImmich(this.config)) {
-        _loadFromImmichImpl(this).catch((e) => {
+      // A re-register (browser reload, config change) starts from scratch.
+      this._stopRefresh(inst);
+      this._stopWatch(inst);
+      this._closeClients(inst);
+      // The frontend re-announces quiet hours right after registering.
+      inst._quiet = false;
+      inst._folderDirty = false;
+      inst._pool = null;
+      inst._serving = null;
+      inst._failbackAttempt = 0;
+      inst.cache = openCache(inst.config);
+      inst.history = openHistory(inst.config);
+      if (immichServers(inst.config).length) {
+        inst._loading = true;
+        _loadFromImmichImpl(inst).catch((e) => {
           Log.error(LOG_PREFIX + "Immich load failed: " + e.message);
-          this._sendInitialImages();
+          this._sendInitialImages(inst);
+        }).then(() => {
+          this._loadFinished(inst);
+          this._scheduleRefresh(inst);
+          this._watchPreferred(inst);
         });
       } else {
-        this._sendInitialImages();
+        this._sendInitialImages(inst);
+      }
+      return;
+    }
+    if (notification === "IMMICH_TILES_QUIET") {
+      const inst = this.instances.get(String(payload && payload.identifier));
+      if (!inst || !inst.config) return;
+      inst._quiet = !!payload.quiet;
+      Log.info(LOG_PREFIX + `quiet hours ${inst._quiet ? "start" : "end"} for ${inst.identifier}`);
+      if (inst._quiet) {
+        this._stopRefresh(inst);
+        this._stopWatch(inst);
+        return;
       }
+      this._scheduleRefresh(inst);
+      this._watchPreferred(inst);
+      // A folder that changed meanwhile is reloaded once the running load finishes.
+      if (inst._loading) return;
+      // Catch up on what was added overnight instead of waiting a full interval.
+      if ((inst.config.refresh && inst.config.refresh.enabled) || inst._folderDirty) this._refreshNow(inst);
+      inst._folderDirty = false;
       return;
     }
-    // No periodic refresh path; refresh occurs on module restart or config changes
+    if (notification === "IMMICH_TILES_SHOWN") {
+      // Batched by the frontend as tiles change.
+      const inst = this.instances.get(String(payload && payload.identifier));
+      if (!inst || !inst.history || !Array.isArray(payload.ids)) return;
+      inst.history.mark(payload.ids.map(String));
+      return;
+    }
+    if (notification === "IMMICH_TILES_REFRESH") {
+      const inst = this.instances.get(String(payload && payload.identifier));
+      if (!inst || !inst.config) return;
+      Log.info(LOG_PREFIX + "refresh requested by " + inst.identifier);
+      this._refreshNow(inst);
+    }
+  },
+
+  stop() {
+    // Histories batch their writes; don't lose the last minute on shutdown.
+    for (const inst of this.instances.values()) {
+      if (inst.history) inst.history.flush();
+    }
+  },
+
+  /**
+   * Return the state for one module instance, creating it on first use.
+   * Every copy of the module on the mirror registers with its own identifier;
+   * keeping config, pool, timers and Immich clients apart is what lets them
+   * show different servers side by side. Outgoing notifications are tagged
+   * with the identifier so each frontend picks out its own.
+   * @param {string} identifier module identifier from the frontend
+   * @returns {object}
+   */
+  _instance(identifier) {
+    const id = String(identifier || this.name);
+    let inst = this.instances.get(id);
+    if (!inst) {
+      const helper = this;
+      inst = {
+        identifier: id,
+        name: this.name,
+        expressApp: this.expressApp,
+        config: null,
+        /** @type {Map<number, object>} Immich clients by server index */
+        clients: new Map(),
+        /** @type {import('./mediaCache.js')|null} */
+        cache: null,
+        /** @type {import('./displayHistory.js')|null} */
+        history: null,
+        _pool: null,
+        _refreshTimer: null,
+        _loading: false,
+        /** index of the Immich server the current pool came from */
+        _serving: null,
+        _failbackTimer: null,
+        _failbackAttempt: 0,
+        /** set by the frontend during quiet hours: no refresh, no failback probing */
+        _quiet: false,
+        /** a watched folder changed during quiet hours or a running load */
+        _folderDirty: false,
+        sendSocketNotification(notification, payload) {
+          helper.sendSocketNotification(notification, Object.assign({ identifier: id }, payload));
+        },
+        _sendInitialImages() {
+          helper._sendInitialImages(inst);
+        },
+        _folderChanged() {
+          // Picked up when quiet hours end, or when the running load finishes
+          // (files copied in mid-scan may have been missed by it).
+          if (inst._quiet || inst._loading) {
+            inst._folderDirty = true;
+            return;
+          }
+          dlog(inst, 'folder changed on disk, reloading');
+          helper._refreshNow(inst);
+        }
+      };
+      this.instances.set(id, inst);
+    }
+    return inst;
+  },
+
+  _closeClients(inst) {
+    for (const client of inst.clients.values()) client.close();
+    inst.clients.clear();
+  },
+
+  /**
+   * Re-run the Immich load every `refresh.intervalMinutes`. Each pass diffs
+   * against the current pool, so the frontend only receives what changed.
+   * @param {object} inst module instance state
+   */
+  _scheduleRefresh(inst) {
+    this._stopRefresh(inst);
+    const refresh = inst.config && inst.config.refresh;
+    if (inst._quiet || !refresh || !refresh.enabled || !immichServers(inst.config).length) return;
+    const periodMs = Math.max(1, refresh.intervalMinutes) * 60 * 1000;
+    dlog(inst, `scheduling refresh every ${refresh.intervalMinutes} min`);
+    inst._refreshTimer = setInterval(() => this._refreshNow(inst), periodMs);
+  },
+
+  /**
+   * Reload the pool now and send the frontend what changed.
+   * @param {object} inst module instance state
+   */
+  _refreshNow(inst) {
+    // A slow album can outlast the interval; never stack two loads.
+    if (inst._loading || !immichServers(inst.config).length) return;
+    inst._loading = true;
+    _loadFromImmichImpl(inst, { refresh: true }).catch((e) => {
+      Log.warn(LOG_PREFIX + "Immich refresh failed, keeping current pool: " + e.message);
+    }).then(() => {
+      this._loadFinished(inst);
+      this._watchPreferred(inst);
+    });
+  },
+
+  /**
+   * Clear the loading flag and rerun the load when a watched folder changed
+   * while it was running.
+   * @param {object} inst module instance state
+   */
+  _loadFinished(inst) {
+    inst._loading = false;
+    if (!inst._folderDirty || inst._quiet) return;
+    inst._folderDirty = false;
+    dlog(inst, 'folder changed during the load, reloading');
+    this._refreshNow(inst);
+  },
+
+  _stopRefresh(inst) {
+    if (inst._refreshTimer) clearInterval(inst._refreshTimer);
+    inst._refreshTimer = null;
   },
 
   /**
-   * Send a starting set of images. If Immich config is present, this is
-   * where Immich fetch would be initiated. For now, send placeholders.
+   * While a fallback server (or nothing at all) is serving, probe the
+   * preferred server with exponential backoff and switch back to it as soon
+   * as it answers. A no-op while the preferred server is serving. Merged
+   * servers have nothing to switch back to; they are probed only while the
+   * wall has no tiles, and all of them reload once any one answers.
+   * @param {object} inst module instance state
    */
-  _sendInitialImages() {
+  _watchPreferred(inst) {
+    const servers = immichServers(inst.config);
+    const preferred = servers[0];
+    const merged = !!inst.config.mergeImmich;
+    if (inst._quiet) {
+      // Resumed by the end of quiet hours.
+      this._stopWatch(inst);
+      return;
+    }
+    if (!preferred || (merged ? inst._pool && inst._pool.length : inst._serving === preferred.index)) {
+      this._stopWatch(inst);
+      inst._failbackAttempt = 0;
+      return;
+    }
+    if (inst._failbackTimer) return;
+    const delay = Math.min(FAILBACK_MAX_MS, FAILBACK_BASE_MS * Math.pow(2, inst._failbackAttempt || 0));
+    dlog(inst, `retrying ${merged ? 'merged Immich servers' : `preferred Immich server #${preferred.index}`} in ${Math.round(delay / 1000)}s`);
+    inst._failbackTimer = setTimeout(async () => {
+      inst._failbackTimer = null;
+      if (inst._loading) {
+        this._watchPreferred(inst);
+        return;
+      }
+      try {
+        if (merged) await Promise.any(servers.map((server) => initClient(inst, server)));
+        else await initClient(inst, preferred);
+      } catch (e) {
+        inst._failbackAttempt = (inst._failbackAttempt || 0) + 1;
+        this._watchPreferred(inst);
+        return;
+      }
+      if (merged) {
+        Log.info(LOG_PREFIX + 'An Immich server is back — reloading all servers');
+        // Backs off further should the reload still come up empty.
+        inst._failbackAttempt = (inst._failbackAttempt || 0) + 1;
+      } else {
+        Log.info(LOG_PREFIX + `Preferred Immich server #${preferred.index} is back — switching to it`);
+      }
+      inst._loading = true;
+      // A refresh load tries the preferred server first and, because the
+      // serving server changes, sends a full pool rather than a diff. A
+      // merged wall has no pool worth diffing against.
+      _loadFromImmichImpl(inst, merged ? {} : { refresh: true }).catch((e) => {
+        Log.warn(LOG_PREFIX + "Switching back failed: " + e.message);
+      }).then(() => {
+        this._loadFinished(inst);
+        this._watchPreferred(inst);
+      });
+    }, delay);
+  },
+
+  _stopWatch(inst) {
+    if (inst._failbackTimer) clearTimeout(inst._failbackTimer);
+    inst._failbackTimer = null;
+  },
+
+  /**
+   * Send a starting set of images when Immich could not be loaded: the last
+   * good pool from the disk cache when there is one, otherwise placeholders.
+   * @param {object} inst module instance state
+   */
+  _sendInitialImages(inst) {
     /** @type {TileImage[]} */
     let images = [];
 
-    if (activeImmich(this.config)) Log.info(LOG_PREFIX + "Immich config detected — falling back to placeholders.");
+    if (immichServers(inst.config).length) {
+      const saved = savedPool(inst);
+      if (saved && saved.images.length) {
+        // Not adopted as the live pool: whichever server answers first later
+        // replaces it wholesale rather than diffing against stale data.
+        Log.warn(LOG_PREFIX + `Immich unreachable — showing ${saved.images.length} cached media from ${saved.savedAt}`);
+        inst.sendSocketNotification("IMMICH_TILES_DATA", { images: saved.images });
+        return;
+      }
+      Log.info(LOG_PREFIX + "Immich config detected — falling back to placeholders.");
+    }
 
-    const layout = (this.config && this.config.layout) || {};
+    const layout = (inst.config && inst.config.layout) || {};
     const count = Math.max(12, (layout.rows || 2) * (layout.cols || 3) * 3);
     const base = `/${this.name}/placeholder.svg`;
     for (let i = 0; i < count; i++) {
       images.push({ src: base, title: `Tile ${i + 1}`, kind: 'image' });
     }
 
-    this.sendSocketNotification("IMMICH_TILES_DATA", { images });
+    inst.sendSocketNotification("IMMICH_TILES_DATA", { images });
   }
 });
 
@@ -119,7 +385,214 @@ function activeImmich(moduleConfig) {
   if (!list.length) return null;
   const idx = Number(moduleConfig.activeImmich) || 0;
   const entry = list[idx] || list[0];
-  return entry && entry.url && entry.apiKey ? entry : null;
+  return usableEntry(entry) ? entry : null;
+}
+
+/**
+ * A server entry can be loaded: Immich needs `url` and `apiKey` (or a share
+ * key for a shared link), a folder its `path`.
+ */
+function usableEntry(entry) {
+  if (!entry) return false;
+  if (entry.source === 'folder') return !!entry.path;
+  if (entry.source === 'shared') return !!(entry.url && (entry.shareKey || entry.shareSlug));
+  return !!(entry.url && entry.apiKey);
+}
+
+/**
+ * Return the servers to load from. With `activeImmich: "all"` that is every
+ * usable entry, merged. Otherwise it is the failover order: the active entry
+ * first, then the remaining entries in config order (just the active one
+ * when `failover` is off). The index is kept so each tile can be routed back
+ * to the server it came from.
+ * @param {object} moduleConfig normalized config
+ * @returns {{index: number, cfg: object}[]}
+ */
+function immichServers(moduleConfig) {
+  const list = moduleConfig && Array.isArray(moduleConfig.immich) ? moduleConfig.immich : [];
+  const usable = list
+    .map((cfg, index) => ({ index, cfg }))
+    .filter((s) => usableEntry(s.cfg));
+  if (moduleConfig && moduleConfig.mergeImmich) return usable;
+  const active = activeImmich(moduleConfig);
+  if (!active) return [];
+  const first = usable.find((s) => s.cfg === active);
+  if (moduleConfig.failover === false) return [first];
+  return [first].concat(usable.filter((s) => s !== first));
+}
+
+/**
+ * Return the instance's Immich client for one server, creating it on first
+ * use. Clients register proxy routes under the instance identifier, so media
+ * links never cross between copies of the module.
+ * @param {object} context module instance state
+ * @param {number} serverIndex index into the normalized `immich` array
+ */
+function clientFor(context, serverIndex) {
+  let client = context.clients.get(serverIndex);
+  if (!client) {
+    const entry = (context.config.immich || [])[serverIndex] || {};
+    if (entry.source === 'folder') {
+      // A folder entry stands in for a server; it has the same link API.
+      const FolderSource = require('./folderSource.js');
+      client = new FolderSource(context.identifier, serverIndex);
+      client.onChange = () => context._folderChanged();
+    } else {
+      // Lazy-require the API dep only when needed
+      const ImmichApi = require('./immichApi.js');
+      client = new ImmichApi(context.identifier, serverIndex);
+      client.cache = context.cache;
+    }
+    context.clients.set(serverIndex, client);
+  }
+  return client;
+}
+
+/**
+ * Open the instance's disk cache from `cache: { dir, maxMB }`, or null when
+ * caching is off or the directory is not writable.
+ * @param {object} moduleConfig normalized config
+ */
+function openCache(moduleConfig) {
+  const cfg = moduleConfig && moduleConfig.cache;
+  if (!cfg || !cfg.enabled) return null;
+  try {
+    const MediaCache = require('./mediaCache.js');
+    return MediaCache.open(path.resolve(__dirname, cfg.dir), cfg.maxMB);
+  } catch (e) {
+    Log.warn(LOG_PREFIX + `Disk cache disabled, cannot use ${cfg.dir}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Name under which an instance's display history and last good pool are
+ * saved: `history.name`, or else a hash of the configured servers and
+ * folders rather than the module's identifier, which changes whenever the
+ * config is reordered.
+ * @param {object} moduleConfig normalized config
+ * @returns {string}
+ */
+function libraryName(moduleConfig) {
+  if (moduleConfig.history && moduleConfig.history.name) return moduleConfig.history.name;
+  const libraries = (moduleConfig.immich || [])
+    .map((e) => [e.url, e.shareKey, e.shareSlug, e.path].filter(Boolean).join(' '))
+    .sort();
+  return 'lib-' + crypto.createHash('sha1').update(libraries.join('\n')).digest('hex').slice(0, 12);
+}
+
+/**
+ * Open the instance's display history from `history: { dir, name }`, or null
+ * when it is off or the directory is not writable. The file is named by
+ * libraryName().
+ * @param {object} moduleConfig normalized config
+ */
+function openHistory(moduleConfig) {
+  const cfg = moduleConfig && moduleConfig.history;
+  if (!cfg || !cfg.enabled) return null;
+  const file = path.resolve(__dirname, cfg.dir, 'history-' + libraryName(moduleConfig).replace(/[^\w.-]/g, '_') + '.json');
+  try {
+    const DisplayHistory = require('./displayHistory.js');
+    return DisplayHistory.open(file);
+  } catch (e) {
+    Log.warn(LOG_PREFIX + `Display history disabled, cannot use ${cfg.dir}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reorder a server's tiles by display history: never-shown media first in
+ * their sorted order, then least recently shown first. Media shown within
+ * `cooldownDays` are left out, unless fewer than HISTORY_MIN_POOL would
+ * remain; then the longest-rested of them fill up to it.
+ * @param {object} context module instance state
+ * @param {TileImage[]} tiles
+ * @returns {TileImage[]}
+ */
+function orderByHistory(context, tiles) {
+  const history = context.history;
+  if (!history || !tiles.length) return tiles;
+  const cutoff = Date.now() - context.config.history.cooldownDays * 24 * 60 * 60 * 1000;
+  const fresh = [];
+  const seen = [];
+  for (const tile of tiles) {
+    const at = tile.id ? history.lastShown(tile.id) : 0;
+    if (at) {
+      // The frontend keeps honouring the cooldown as it loops the pool.
+      tile.shownAt = at;
+      seen.push({ tile, at });
+    } else {
+      fresh.push(tile);
+    }
+  }
+  seen.sort((a, b) => a.at - b.at);
+  const rested = seen.filter((s) => s.at <= cutoff).map((s) => s.tile);
+  const cooling = seen.filter((s) => s.at > cutoff).map((s) => s.tile);
+  const out = fresh.concat(rested);
+  if (out.length < HISTORY_MIN_POOL) out.push(...cooling.slice(0, HISTORY_MIN_POOL - out.length));
+  dlog(context, `history: ${fresh.length} new, ${rested.length} rested, ${cooling.length} cooling down -> ${out.length}`);
+  return out;
+}
+
+/**
+ * Adopt a freshly loaded pool and save it as the instance's last good list.
+ * The proxy links embed the module's identifier, so they are left out and
+ * rebuilt by savedPool().
+ * @param {object} context module instance state
+ * @param {TileImage[]} tiles
+ */
+function rememberPool(context, tiles) {
+  context._pool = tiles;
+  if (!context.cache) return;
+  context.cache.savePool(libraryName(context.config), tiles.map((tile) => {
+    const saved = Object.assign({}, tile, { poster: !!tile.posterSrc });
+    delete saved.src;
+    delete saved.posterSrc;
+    return saved;
+  }));
+}
+
+/**
+ * The last good pool saved for this library, with links through this
+ * instance's routes; media of servers no longer configured are dropped.
+ * @param {object} context module instance state
+ * @returns {{savedAt: string, images: TileImage[]}|null}
+ */
+function savedPool(context) {
+  const saved = context.cache && context.cache.loadPool(libraryName(context.config));
+  if (!saved) return null;
+  const live = new Set(immichServers(context.config).map((server) => server.index));
+  const images = [];
+  for (const entry of saved.images) {
+    if (!entry || !entry.id || !live.has(entry.server)) continue;
+    const client = clientFor(context, entry.server);
+    const tile = Object.assign({}, entry);
+    delete tile.poster;
+    if (tile.kind === 'video') {
+      tile.src = client.getVideoLink(entry.id);
+      tile.posterSrc = entry.poster ? client.getImageLink(entry.id) : null;
+    } else {
+      tile.src = client.getImageLink(entry.id);
+    }
+    images.push(tile);
+  }
+  return { savedAt: saved.savedAt, images };
+}
+
+/**
+ * (Re)connect a server's client: fresh HTTP client plus version negotiation.
+ * Throws when the server does not answer, which is what failover keys on.
+ * @param {object} context module instance state
+ * @param {{index: number, cfg: object}} server
+ */
+async function initClient(context, server) {
+  const immichApi = clientFor(context, server.index);
+  // toggle immichApi debug passthrough
+  immichApi.debugOn = !!(context.config && context.config.debug);
+  // Prefer thumbnail-sized assets in lightweight mode; fallback to original
+  const perf = (context.config && context.config.performance) || {};
+  await immichApi.init({ ...server.cfg, preferThumbnail: !!perf.lightweight }, context.expressApp, true);
+  return immichApi;
 }
 
 /**
@@ -148,19 +621,97 @@ function toTileImage(img, immichApi, isVideo) {
     exif.imageHeight || exif.ImageHeight || exif.exifImageHeight || exif.PixelYDimension || exif.pixelYDimension ||
     img.height || img.h || null
   ) || null;
+  const server = Number(immichApi.serverKey) || 0;
+  const id = img.id;
+  const focus = focalPoint(img, exif, w, h);
+  const favorite = img.isFavorite === true;
+  const memory = img.memory || null;
+  const details = captionDetails(img, exif);
   if (isVideo) {
-    return {
+    return Object.assign({
       kind: 'video',
       src: immichApi.getVideoLink(img.id),
       posterSrc: immichApi.getImageLink(img.id),
       title,
       takenAt,
       albumName,
+      server,
       w,
-      h
-    };
+      h,
+      focus,
+      favorite,
+      id,
+      memory
+    }, details);
+  }
+  return Object.assign({ kind: 'image', src: immichApi.getImageLink(img.id), title, takenAt, albumName, server, w, h, focus, favorite, id, memory }, details);
+}
+
+/**
+ * Point the crop should keep in view, as fractions of width and height.
+ * Taken from the center of the box around every face Immich detected
+ * (listings include faces when requested `withPeople`); failing that from
+ * an EXIF SubjectArea/SubjectLocation hint. Null centers the crop.
+ * @returns {{x: number, y: number}|null}
+ */
+function focalPoint(img, exif, w, h) {
+  const faces = [];
+  for (const person of Array.isArray(img.people) ? img.people : []) {
+    if (Array.isArray(person.faces)) faces.push(...person.faces);
+  }
+  if (Array.isArray(img.unassignedFaces)) faces.push(...img.unassignedFaces);
+  let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+  for (const f of faces) {
+    // Boxes are in pixels of the image the face detector saw.
+    const fw = Number(f.imageWidth);
+    const fh = Number(f.imageHeight);
+    if (!(fw > 0 && fh > 0)) continue;
+    x1 = Math.min(x1, Number(f.boundingBoxX1) / fw);
+    y1 = Math.min(y1, Number(f.boundingBoxY1) / fh);
+    x2 = Math.max(x2, Number(f.boundingBoxX2) / fw);
+    y2 = Math.max(y2, Number(f.boundingBoxY2) / fh);
   }
-  return { kind: 'image', src: immichApi.getImageLink(img.id), title, takenAt, albumName, w, h };
+  if (Number.isFinite(x1 + y1 + x2 + y2)) return clampFocus((x1 + x2) / 2, (y1 + y2) / 2);
+
+  // EXIF SubjectArea is [x, y] (a point), [x, y, d] (a circle) or
+  // [x, y, w, h] (a rectangle): the first two are always the center.
+  const hint = exif.subjectArea || exif.SubjectArea || exif.subjectLocation || exif.SubjectLocation;
+  const coords = Array.isArray(hint) ? hint : (typeof hint === 'string' ? hint.split(/[\s,]+/) : []);
+  const hx = Number(coords[0]);
+  const hy = Number(coords[1]);
+  if (w && h && Number.isFinite(hx) && Number.isFinite(hy) && coords.length >= 2) return clampFocus(hx / w, hy / h);
+  return null;
+}
+
+function clampFocus(x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  const clamp = (v) => Math.round(Math.min(1, Math.max(0, v)) * 1000) / 1000;
+  return { x: clamp(x), y: clamp(y) };
+}
+
+/**
+ * Caption metadata of an asset: named people and the EXIF location, camera,
+ * lens and description. Missing values are null so captions can skip them.
+ */
+function captionDetails(img, exif) {
+  const text = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  const names = Array.isArray(img.people)
+    ? img.people.filter((p) => p && !p.isHidden && text(p.name)).map((p) => p.name.trim())
+    : [];
+  const make = text(exif.make);
+  const model = text(exif.model);
+  // Most bodies repeat the brand in the model ("Canon EOS R5").
+  const camera = make && model && !model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0])
+    ? `${make} ${model}`
+    : (model || make);
+  return {
+    people: names.length ? names : null,
+    city: text(exif.city),
+    country: text(exif.country),
+    camera,
+    lens: text(exif.lensModel),
+    description: text(exif.description)
+  };
 }
 
 /**
@@ -186,6 +737,306 @@ function _filterAndMap(rawAssets, immichApi, context, validImageSet, validVideoS
   });
 }
 
+/**
+ * Resolve the `people` filter of one server config to face-cluster IDs.
+ * @returns {Promise<{mode: "any"|"all", groups: {name: string, ids: string[]}[]}|null>}
+ *   null when no people filter is configured; empty `groups` matches nothing
+ */
+async function resolvePeople(context, immichApi, cfg) {
+  if (!cfg.people || !cfg.people.length) return null;
+  let groups = await immichApi.findPeople(cfg.people);
+  dlog(context, 'people', cfg.people, '=>', groups.map((g) => `${g.name}:${g.ids.length}`));
+  if (cfg.peopleMode === 'all' && groups.length < cfg.people.length) {
+    // A missing name can never be matched, so "all" can't be satisfied.
+    Log.error(LOG_PREFIX + 'peopleMode "all" with unknown people; no media will match.');
+    groups = [];
+  }
+  return { mode: cfg.peopleMode, groups };
+}
+
+function matchesPeople(people, hasPerson) {
+  if (!people.groups.length) return false;
+  const inGroup = (g) => g.ids.some(hasPerson);
+  return people.mode === 'all' ? people.groups.every(inGroup) : people.groups.some(inGroup);
+}
+
+/**
+ * Run a search-style fetch restricted to people. Immich ANDs `personIds`,
+ * so "any" is one query per face cluster and "all" one query per
+ * combination of the named people's clusters; results are merged by ID.
+ * @param {object|null} people resolved people filter
+ * @param {object|null} query base search payload
+ * @param {(query: object) => Promise<object[]>} fetch
+ * @returns {Promise<object[]>}
+ */
+async function fetchWithPeople(people, query, fetch) {
+  if (!people) return fetch(query);
+  if (!people.groups.length) return [];
+  const combos = people.mode === 'all'
+    ? people.groups.reduce((acc, g) => acc.flatMap((c) => g.ids.map((id) => c.concat(id))), [[]])
+    : people.groups.flatMap((g) => g.ids.map((id) => [id]));
+  const seen = new Set();
+  const out = [];
+  for (const personIds of combos) {
+    const assets = await fetch(Object.assign({}, query || {}, { personIds }));
+    for (const asset of assets || []) {
+      if (seen.has(asset.id)) continue;
+      seen.add(asset.id);
+      out.push(asset);
+    }
+  }
+  return out;
+}
+
+/**
+ * Per-asset person lookup for sources Immich can't filter by person
+ * (albums, memories). Uses `asset.people` when the listing carries it;
+ * otherwise the asset IDs of each person via /search/metadata, loaded once
+ * per load; on servers without that endpoint, per-asset info.
+ * @param {object} immichApi
+ * @param {string[]} personIds every person the lookup will be asked about
+ * @returns {(asset: object) => Promise<(id: string) => boolean>}
+ */
+function personLookup(immichApi, personIds) {
+  let byPerson = null;
+  return async (asset) => {
+    if (Array.isArray(asset.people) && asset.people.length) {
+      const ids = new Set(asset.people.map((p) => p.id));
+      return (id) => ids.has(id);
+    }
+    if (immichApi.canSearchMetadata()) {
+      if (!byPerson) {
+        byPerson = new Map();
+        for (const id of personIds) byPerson.set(id, await immichApi.getPersonAssetIds(id));
+      }
+      return (id) => byPerson.get(id).has(asset.id);
+    }
+    const info = await immichApi.getAssetInfo(asset.id);
+    const ids = new Set((info.people || []).map((p) => p.id));
+    return (id) => ids.has(id);
+  };
+}
+
+/** Keep assets matching the resolved `people` filter. */
+function peopleCheck(context, immichApi, people) {
+  const lookup = personLookup(immichApi, Array.from(new Set(people.groups.flatMap((g) => g.ids))));
+  return async (assets) => {
+    const kept = [];
+    for (const asset of assets) {
+      if (matchesPeople(people, await lookup(asset))) kept.push(asset);
+    }
+    dlog(context, `filter by people (${assets.length} -> ${kept.length})`);
+    return kept;
+  };
+}
+
+function hasExclusions(exclude) {
+  return !!exclude && !!(exclude.albumIds.length || exclude.albumNames.length || exclude.people.length ||
+    exclude.tags.length || exclude.filenamePattern);
+}
+
+/** The part of `exclude` a folder or shared link can honour: only the filename pattern. */
+function filenameExclusions(exclude) {
+  return Object.assign({}, exclude, { albumIds: [], albumNames: [], people: [], tags: [] });
+}
+
+/**
+ * Drop assets matching `immich.exclude`. Names are resolved on the first
+ * batch of every load, so albums, people and tags edited in Immich take
+ * effect with the next refresh.
+ * @param {object} context module instance state
+ * @param {object} immichApi
+ * @param {{albumIds: string[], albumNames: string[], people: string[], tags: string[], filenamePattern: string|null}} exclude
+ */
+function excludeCheck(context, immichApi, exclude) {
+  const pattern = exclude.filenamePattern ? new RegExp(exclude.filenamePattern, 'i') : null;
+  let rules = null;
+  const resolve = async () => {
+    const albumIds = exclude.albumIds.concat(exclude.albumNames.length ? await immichApi.findAlbumIds(exclude.albumNames) : []);
+    const albumAssets = new Set();
+    for (const id of albumIds) (await immichApi.getAlbumAssetIds(id)).forEach((assetId) => albumAssets.add(assetId));
+    const personIds = exclude.people.length ? (await immichApi.findPeople(exclude.people)).flatMap((p) => p.ids) : [];
+    const tagAssets = new Set();
+    if (exclude.tags.length) {
+      for (const tag of await immichApi.findTags(exclude.tags)) {
+        for (const id of tag.ids) (await immichApi.getTagAssetIds(id)).forEach((assetId) => tagAssets.add(assetId));
+      }
+    }
+    dlog(context, `exclude: ${albumAssets.size} album asset(s), ${personIds.length} person ID(s), ${tagAssets.size} tagged asset(s)`);
+    return { albumAssets, personIds, lookup: personIds.length ? personLookup(immichApi, personIds) : null, tagAssets };
+  };
+
+  return async (assets) => {
+    if (!rules) rules = await resolve();
+    const kept = [];
+    for (const asset of assets) {
+      const name = asset.originalFileName || path.basename(asset.originalPath || '');
+      if (pattern && pattern.test(name)) continue;
+      if (rules.albumAssets.has(asset.id) || rules.tagAssets.has(asset.id)) continue;
+      if (rules.lookup) {
+        const hasPerson = await rules.lookup(asset);
+        if (rules.personIds.some(hasPerson)) continue;
+      }
+      kept.push(asset);
+    }
+    dlog(context, `exclude (${assets.length} -> ${kept.length})`);
+    return kept;
+  };
+}
+
+/**
+ * Drop repeats: the same asset listed by several albums or memories, the
+ * same file uploaded twice (equal checksum), stacked assets other than the
+ * stack's primary and, with `burstSeconds`, shots taken by the same camera
+ * within that many seconds of one already kept. State spans every page of
+ * one load, so an asset is kept only where it is first seen.
+ * @param {object} context module instance state
+ * @param {{stacks: boolean, burstSeconds: number}} dedupe
+ */
+function dedupeCheck(context, dedupe) {
+  const seen = new Set();
+  const burstMs = dedupe.burstSeconds * 1000;
+  // Capture times of kept assets, bucketed by camera and `burstMs` window.
+  const shots = new Map();
+  const nearShot = (camera, t) => {
+    const bucket = Math.floor(t / burstMs);
+    for (let b = bucket - 1; b <= bucket + 1; b++) {
+      const times = shots.get(camera + '|' + b);
+      if (times && times.some((k) => Math.abs(k - t) < burstMs)) return true;
+    }
+    return false;
+  };
+  const addShot = (camera, t) => {
+    const key = camera + '|' + Math.floor(t / burstMs);
+    if (!shots.has(key)) shots.set(key, []);
+    shots.get(key).push(t);
+  };
+
+  return async (assets) => {
+    const kept = assets.filter((asset) => {
+      if (dedupe.stacks) {
+        // v1.x marks children with `stackParentId`; newer servers attach
+        // `stack` (when asked `withStacked`) to every member.
+        if (asset.stackParentId) return false;
+        if (asset.stack && asset.stack.primaryAssetId && asset.stack.primaryAssetId !== asset.id) return false;
+      }
+      const keys = [asset.id, asset.checksum && 'sha1:' + asset.checksum].filter(Boolean);
+      if (keys.some((k) => seen.has(k))) return false;
+      keys.forEach((k) => seen.add(k));
+      return true;
+    });
+    if (!burstMs) {
+      dlog(context, `dedupe (${assets.length} -> ${kept.length})`);
+      return kept;
+    }
+
+    // Walk in capture order so a burst keeps its first frame, then restore
+    // the listing order.
+    const timed = kept.map((asset) => {
+      const exif = asset.exifInfo || {};
+      const t = Date.parse(exif.dateTimeOriginal || asset.localDateTime || asset.fileCreatedAt || '');
+      const camera = [exif.make, exif.model].filter(Boolean).join(' ') || asset.deviceId || '';
+      return { asset, t, camera };
+    }).sort((a, b) => (a.t || 0) - (b.t || 0));
+    const dropped = new Set();
+    for (const { asset, t, camera } of timed) {
+      // Without a capture time or a camera there is no telling a burst apart.
+      if (!Number.isFinite(t) || !camera) continue;
+      if (nearShot(camera, t)) dropped.add(asset);
+      else addShot(camera, t);
+    }
+    const out = kept.filter((asset) => !dropped.has(asset));
+    dlog(context, `dedupe (${assets.length} -> ${kept.length}, bursts -> ${out.length})`);
+    return out;
+  };
+}
+
+/**
+ * Capture-date window of a server entry at `now`, combining the fixed
+ * dates with the age limits. Ages count back from `now`, so the window
+ * moves with every load.
+ * @returns {{after: string|null, before: string|null}|null} null when unrestricted
+ */
+function takenRange(cfg, now) {
+  const DAY = 24 * 60 * 60 * 1000;
+  let after = cfg.takenAfter ? Date.parse(cfg.takenAfter) : -Infinity;
+  let before = cfg.takenBefore ? Date.parse(cfg.takenBefore) : Infinity;
+  if (cfg.maxAgeDays) after = Math.max(after, now - cfg.maxAgeDays * DAY);
+  if (cfg.minAgeDays) before = Math.min(before, now - cfg.minAgeDays * DAY);
+  if (after === -Infinity && before === Infinity) return null;
+  return {
+    after: after === -Infinity ? null : new Date(after).toISOString(),
+    before: before === Infinity ? null : new Date(before).toISOString()
+  };
+}
+
+/**
+ * Keep assets taken inside `range`. Compares `fileCreatedAt`, the capture
+ * time Immich's own takenAfter/takenBefore search filters on.
+ */
+function dateCheck(context, range) {
+  const after = range.after ? Date.parse(range.after) : -Infinity;
+  const before = range.before ? Date.parse(range.before) : Infinity;
+  return async (assets) => {
+    const kept = assets.filter((asset) => {
+      const t = Date.parse(asset.fileCreatedAt || asset.localDateTime || '');
+      // Undated assets can't be placed in the window; leave them out.
+      return Number.isFinite(t) && t >= after && t <= before;
+    });
+    dlog(context, `filter by date (${assets.length} -> ${kept.length})`);
+    return kept;
+  };
+}
+
+/** Keep only assets starred in Immich. */
+function favoritesCheck(context) {
+  return async (assets) => {
+    const kept = assets.filter((asset) => asset.isFavorite === true);
+    dlog(context, `filter by favorites (${assets.length} -> ${kept.length})`);
+    return kept;
+  };
+}
+
+/**
+ * With `favorites: "boost"`, give favorite tiles the server's
+ * `favoriteWeight`; the frontend shows each that many times per pass.
+ * @param {TileImage[]} tiles
+ * @param {object} cfg normalized server entry
+ * @returns {TileImage[]} the same list
+ */
+function boostFavorites(tiles, cfg) {
+  if (cfg.favorites !== 'boost' || cfg.favoriteWeight <= 1) return tiles;
+  for (const tile of tiles) {
+    if (tile.favorite) tile.weight = cfg.favoriteWeight;
+  }
+  return tiles;
+}
+
+/**
+ * Build the filter applied to raw Immich assets before extension filtering
+ * and mapping, so checks can use every field Immich returns.
+ * @param {object} context module instance state
+ * @param {object} immichApi
+ * @param {{ dedupe?: object, dates?: object|null, favoritesOnly?: boolean, exclude?: object|null, people?: object|null }} filters
+ * @returns {(assets: object[]) => Promise<object[]>}
+ */
+function assetFilter(context, immichApi, filters) {
+  const checks = [];
+  if (filters.dedupe && filters.dedupe.enabled) checks.push(dedupeCheck(context, filters.dedupe));
+  if (filters.dates) checks.push(dateCheck(context, filters.dates));
+  if (filters.favoritesOnly) checks.push(favoritesCheck(context));
+  if (filters.exclude) checks.push(excludeCheck(context, immichApi, filters.exclude));
+  if (filters.people) checks.push(peopleCheck(context, immichApi, filters.people));
+  return async (assets) => {
+    let out = assets || [];
+    for (const check of checks) {
+      if (!out.length) break;
+      out = await check(out);
+    }
+    return out;
+  };
+}
+
 /**
  * Sorting helpers
  */
@@ -205,19 +1056,260 @@ function shuffle(list) {
   return list;
 }
 
+/** Most times per pass a server's media is shown to make up its weight. */
+const MAX_SERVER_REPEAT = 20;
+
 /**
- * Fetch images from Immich and send to client
+ * Interleave per-server pools by weight, each tile once: a weight-2 server
+ * contributes two tiles for every one from a weight-1 server until it runs
+ * out. A server whose pool is small for its weight gets a tile `weight`
+ * (times shown per pass, like boosted favorites) so its share of the
+ * rotation still matches; the frontend spreads those repeats out. Each
+ * server keeps its own order, so `sort` applies within a server's share.
+ * @param {{weight: number, tiles: TileImage[]}[]} sets
+ * @returns {TileImage[]}
  */
-async function _loadFromImmichImpl(context) {
-  // Lazy-require the API dep only when needed
-  const immichApi = require('./immichApi.js');
-  const cfg = activeImmich(context.config);
-  if (!cfg) {
-    Log.error(LOG_PREFIX + 'No usable Immich server configured (needs `url` and `apiKey`).');
+function mergeWeighted(sets) {
+  const live = sets.filter((s) => s.tiles.length && s.weight > 0);
+  if (live.length <= 1) return live.length ? live[0].tiles.slice() : [];
+  // Share of the rotation per tile; the most crowded server shows each once.
+  const perTile = live.map((s) => s.weight / s.tiles.length);
+  const least = Math.min(...perTile);
+  const repeat = perTile.map((p) => Math.min(MAX_SERVER_REPEAT, Math.round(p / least)));
+
+  const count = live.reduce((sum, s) => sum + s.tiles.length, 0);
+  const credit = live.map(() => 0);
+  const cursor = live.map(() => 0);
+  const out = [];
+  // Smooth weighted round-robin: spreads a heavy server's picks evenly
+  // instead of emitting them in bursts. Exhausted servers drop out.
+  while (out.length < count) {
+    let pick = -1;
+    let total = 0;
+    for (let i = 0; i < live.length; i++) {
+      if (cursor[i] >= live[i].tiles.length) continue;
+      credit[i] += live[i].weight;
+      total += live[i].weight;
+      if (pick < 0 || credit[i] > credit[pick]) pick = i;
+    }
+    credit[pick] -= total;
+    const tile = live[pick].tiles[cursor[pick]++];
+    out.push(repeat[pick] > 1 ? Object.assign({}, tile, { weight: (tile.weight || 1) * repeat[pick] }) : tile);
+  }
+  return out;
+}
+
+/**
+ * Send only the difference between the current pool and a freshly loaded one,
+ * so tiles already on screen keep their media. Tiles are keyed by `src`.
+ * @param {object} context module instance state
+ * @param {TileImage[]} tiles the complete new pool
+ */
+function _emitPoolDiff(context, tiles) {
+  const before = new Set(context._pool.map((t) => t.src));
+  const after = new Set(tiles.map((t) => t.src));
+  const added = tiles.filter((t) => !before.has(t.src));
+  const removed = context._pool.filter((t) => !after.has(t.src)).map((t) => t.src);
+  rememberPool(context, tiles);
+  if (!added.length && !removed.length) {
+    dlog(context, 'refresh: pool unchanged');
+    return;
+  }
+  Log.info(LOG_PREFIX + `Refresh: +${added.length} / -${removed.length} media`);
+  context.sendSocketNotification('IMMICH_TILES_UPDATE', { added, removed });
+}
+
+/**
+ * Fetch images from Immich and send to client.
+ * @param {object} context module instance state
+ * @param {{ refresh?: boolean }} [opts] refresh: load the full set without
+ *   progressive emission and send a diff against the current pool instead
+ */
+async function _loadFromImmichImpl(context, opts) {
+  // A refresh can only diff against a pool that was loaded successfully;
+  // otherwise (e.g. Immich was down at boot) fall back to a full load.
+  const refresh = !!(opts && opts.refresh) && Array.isArray(context._pool);
+  const servers = immichServers(context.config);
+  if (!servers.length) {
+    Log.error(LOG_PREFIX + 'No usable Immich server configured (needs `url` and `apiKey`, a `shareUrl`, or `source: "folder"` with a `path`).');
     context._sendInitialImages();
     return;
   }
-  dlog(context, 'active immich server', {
+
+  let tiles;
+  let label;
+  let full = !refresh;
+  if (!context.config.mergeImmich) {
+    // Failover: the preferred server first, then each fallback in order. The
+    // first one that answers serves the pool.
+    let served = null;
+    for (let i = 0; i < servers.length && !served; i++) {
+      const server = servers[i];
+      // Switching servers swaps the whole library, so a diff would be noise.
+      full = !refresh || context._serving !== server.index;
+      try {
+        tiles = await _loadServerTiles(context, server, { stream: full });
+        served = server;
+      } catch (e) {
+        if (i === servers.length - 1) throw e;
+        Log.warn(LOG_PREFIX + `Immich server #${server.index} (${server.cfg.url || server.cfg.path}) unavailable: ${e.message} — trying #${servers[i + 1].index}`);
+      }
+    }
+    if (context._serving !== served.index && served !== servers[0]) {
+      Log.warn(LOG_PREFIX + `Serving from fallback Immich server #${served.index} (${served.cfg.url || served.cfg.path})`);
+    }
+    context._serving = served.index;
+    if (!tiles) return; // already streamed to the frontend page by page
+    label = `source=${served.cfg.source}`;
+  } else {
+    // Merge mode: one unreachable server must not blank the whole wall.
+    const sets = [];
+    for (const server of servers) {
+      try {
+        const serverTiles = await _loadServerTiles(context, server, { stream: false });
+        dlog(context, `server #${server.index} weight=${server.cfg.weight} tiles=${serverTiles.length}`);
+        sets.push({ weight: server.cfg.weight, tiles: serverTiles });
+      } catch (e) {
+        Log.error(LOG_PREFIX + `Immich server #${server.index} (${server.cfg.url || server.cfg.path}) failed: ${e.message}`);
+      }
+    }
+    if (!sets.length) throw new Error('none of the configured Immich servers could be loaded');
+    tiles = mergeWeighted(sets);
+    label = `${sets.length} merged server(s)`;
+  }
+
+  if (!full) {
+    _emitPoolDiff(context, tiles);
+    return;
+  }
+
+  // Send to client
+  Log.info(LOG_PREFIX + `Loaded ${tiles.length} image(s) for ${label}`);
+  rememberPool(context, tiles);
+  context.sendSocketNotification('IMMICH_TILES_DATA', { images: tiles });
+}
+
+/**
+ * The fetch for a paged source (album, tag or place), or null when its
+ * selection matches nothing. The fetch takes getAlbumAssets' options.
+ * @param {object} context module instance state
+ * @param {object} immichApi
+ * @param {object} cfg normalized server entry
+ * @returns {Promise<((opts: object) => Promise<object[]>)|null>}
+ */
+async function pagedFetch(context, immichApi, cfg) {
+  if (cfg.source === 'tag') {
+    const tagIds = await resolveTagIds(context, immichApi, cfg);
+    return tagIds.length ? (opts) => immichApi.getTagAssetsForTagIds(tagIds, opts) : null;
+  }
+  if (cfg.source === 'place') {
+    const found = cfg.place ? await placeFilters(context, immichApi, cfg.place) : null;
+    if (!found || (!found.filters.length && !found.unnamed.length)) return null;
+    return async (opts) => {
+      const images = found.filters.length
+        ? await immichApi.getPlaceAssets(found.filters, Object.assign({}, opts, { ids: found.ids }))
+        : [];
+      if (!found.unnamed.length) return images;
+      const rest = await immichApi.getAssetsById(found.unnamed);
+      if (rest.length && opts.onPage) await opts.onPage(rest, { page: 1, total: rest.length });
+      return images.concat(rest);
+    };
+  }
+  const albumIds = await resolveAlbumIds(context, immichApi, cfg);
+  return albumIds.length ? (opts) => immichApi.getAlbumAssetsForAlbumIds(albumIds, opts) : null;
+}
+
+/**
+ * Search filters for `immich.place`. Immich matches place names but has
+ * no radius search, so a radius is applied here to the map markers; the
+ * places of the assets inside it are then searched for their full records,
+ * keeping only those assets. Assets without any place name would match
+ * every such asset in the library, so they are listed for fetching by ID.
+ * @param {object} context module instance state
+ * @param {object} immichApi
+ * @param {{city: string|null, state: string|null, country: string|null, lat: number|null, lon: number|null, radiusKm: number|null}} place
+ * @returns {Promise<{filters: object[], ids: Set<string>|null, unnamed: string[]}>}
+ */
+async function placeFilters(context, immichApi, place) {
+  const names = {};
+  for (const key of ['city', 'state', 'country']) if (place[key]) names[key] = place[key];
+  if (place.lat == null) return { filters: [names], ids: null, unnamed: [] };
+
+  // Names narrow a radius too, but markers spell them as Immich does.
+  const nameOk = (marker) => Object.keys(names).every((key) => String(marker[key] || '').toLowerCase() === names[key].toLowerCase());
+  const ids = new Set();
+  const unnamed = [];
+  const filters = new Map();
+  for (const marker of await immichApi.getMapMarkers()) {
+    const km = distanceKm(place.lat, place.lon, Number(marker.lat), Number(marker.lon));
+    if (!(km <= place.radiusKm) || !nameOk(marker)) continue;
+    if (!marker.city && !marker.state && !marker.country) {
+      unnamed.push(marker.id);
+      continue;
+    }
+    ids.add(marker.id);
+    const filter = { city: marker.city || null, state: marker.state || null, country: marker.country || null };
+    filters.set(JSON.stringify(filter), filter);
+  }
+  dlog(context, `place within ${place.radiusKm} km: ${ids.size} asset(s) in ${filters.size} place(s), ${unnamed.length} without a place name`);
+  return { filters: Array.from(filters.values()), ids, unnamed };
+}
+
+/** Great-circle distance between two positions, in km. */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const a = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lon2 - lon1) * rad / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * The album IDs of a server entry, with `album` names resolved.
+ * @param {object} context module instance state
+ * @param {object} immichApi
+ * @param {object} cfg normalized server entry
+ * @returns {Promise<string[]>}
+ */
+async function resolveAlbumIds(context, immichApi, cfg) {
+  let albumIds = [...cfg.albumIds];
+  if (cfg.albumNames.length) {
+    const resolved = await immichApi.findAlbumIds(cfg.albumNames);
+    dlog(context, 'findAlbumIds', cfg.albumNames, '=>', resolved);
+    if (resolved && resolved.length) albumIds = albumIds.concat(resolved);
+  }
+  return albumIds;
+}
+
+/**
+ * The tag IDs of a server entry, with `tag` names resolved.
+ * @param {object} context module instance state
+ * @param {object} immichApi
+ * @param {object} cfg normalized server entry
+ * @returns {Promise<string[]>}
+ */
+async function resolveTagIds(context, immichApi, cfg) {
+  const tagIds = new Set(cfg.tagIds);
+  if (cfg.tagNames.length) {
+    const found = await immichApi.findTags(cfg.tagNames);
+    dlog(context, 'findTags', cfg.tagNames, '=>', found);
+    found.forEach((tag) => tag.ids.forEach((id) => tagIds.add(id)));
+  }
+  return Array.from(tagIds);
+}
+
+/**
+ * Load, filter, map and sort the media of one Immich server.
+ * With `stream`, album pages are sent to the frontend as they arrive; the
+ * pool is then already delivered and null is returned.
+ * @param {object} context module instance state
+ * @param {{index: number, cfg: object}} server
+ * @param {{ stream: boolean }} opts
+ * @returns {Promise<TileImage[]|null>}
+ */
+async function _loadServerTiles(context, server, opts) {
+  const immichApi = clientFor(context, server.index);
+  const cfg = server.cfg;
+  dlog(context, 'immich server #' + server.index, {
     source: cfg.source,
     url: cfg.url,
     timeout: cfg.timeout,
@@ -230,40 +1322,65 @@ async function _loadFromImmichImpl(context) {
   const validImageSet = new Set(context.config.imageExtensions || []);
   const validVideoSet = new Set(context.config.videoExtensions || []);
 
-  // toggle immichApi debug passthrough
-  immichApi.debugOn = !!(context.config && context.config.debug);
-  // Prefer thumbnail-sized assets in lightweight mode; fallback to original
-  const perf = (context.config && context.config.performance) || {};
-  await immichApi.init({ ...cfg, preferThumbnail: !!perf.lightweight }, context.expressApp, true);
+  await initClient(context, server);
   dlog(context, 'api level resolved', immichApi.apiLevel);
 
+  const folder = cfg.source === 'folder';
+  const shared = cfg.source === 'shared';
+  // Person, favorite and album/people/tag lookups need Immich, and a shared
+  // link may not list people, albums or tags.
+  const limited = folder || shared;
+  const people = limited ? null : await resolvePeople(context, immichApi, cfg);
+  // Search-style sources pass people to Immich; the rest are checked here.
+  const searchable = cfg.source === 'search' || cfg.source === 'random' || cfg.source === 'anniversary';
+  const dedupe = context.config.dedupe || { enabled: false };
+  const dates = takenRange(cfg, Date.now());
+  const filterAssets = assetFilter(context, immichApi, {
+    dedupe,
+    // Search and random take the window as query fields; anniversary sets
+    // its own per-year dates, so it is narrowed here like albums and memories.
+    dates: cfg.source === 'search' || cfg.source === 'random' ? null : dates,
+    favoritesOnly: !limited && cfg.favorites === 'only',
+    exclude: hasExclusions(cfg.exclude) ? (limited ? filenameExclusions(cfg.exclude) : cfg.exclude) : null,
+    people: searchable ? null : people
+  });
+  // Stack details only come back when asked for; Immich then also lists
+  // just the primary asset of each stack.
+  const withStacked = dedupe.enabled && dedupe.stacks;
+  // Extra search fields for the search-style sources.
+  const query = Object.assign({}, cfg.query);
+  if (withStacked && cfg.source !== 'search') query.withStacked = true;
+  if (cfg.favorites === 'only') query.isFavorite = true;
+  if (dates && dates.after) query.takenAfter = dates.after;
+  if (dates && dates.before) query.takenBefore = dates.before;
+
   let images = [];
-  if (cfg.source === 'album') {
-    // `album` accepts IDs and names interchangeably; names resolve via /albums.
-    let albumIds = [...cfg.albumIds];
-    if (cfg.albumNames.length) {
-      const resolved = await immichApi.findAlbumIds(cfg.albumNames);
-      dlog(context, 'findAlbumIds', cfg.albumNames, '=>', resolved);
-      if (resolved && resolved.length) albumIds = albumIds.concat(resolved);
-    }
-    if (albumIds.length) {
+  let prefiltered = false;
+  if (cfg.source === 'album' || cfg.source === 'tag' || cfg.source === 'place') {
+    const fetchPaged = await pagedFetch(context, immichApi, cfg);
+    if (fetchPaged) {
 
       // Progressive delivery: stream pages to the frontend as they arrive so the
       // mirror can start rendering after the first page instead of waiting for
       // the entire album to page in.
+      // A refresh or merge needs the whole set at once, so it never streams.
       const sortMode = cfg.sort;
-      const needsFinalSort = sortMode === 'name' || sortMode === 'created' || sortMode === 'modified' || sortMode === 'taken';
+      // Display history reorders the whole pool, so it can't stream either.
+      const needsFinalSort = !opts.stream || !!context.history || sortMode === 'name' || sortMode === 'created' || sortMode === 'modified' || sortMode === 'taken';
       let firstPageSent = false;
       const appendedRaw = [];
+      const streamed = [];
 
-      const onPage = (items) => {
-        appendedRaw.push(...items);
+      const onPage = async (items) => {
+        const kept = await filterAssets(items);
+        appendedRaw.push(...kept);
         // For sort modes that require the full pool (by name/date), defer emission
         // until all pages are collected; emit once at the end after sort/reverse.
         if (needsFinalSort) return;
-        const pageTiles = _filterAndMap(items, immichApi, context, validImageSet, validVideoSet);
+        const pageTiles = boostFavorites(_filterAndMap(kept, immichApi, context, validImageSet, validVideoSet), cfg);
         if (!pageTiles.length) return;
         if (sortMode === 'random') shuffle(pageTiles);
+        streamed.push(...pageTiles);
         if (!firstPageSent) {
           firstPageSent = true;
           Log.info(LOG_PREFIX + `First page ready — sending ${pageTiles.length} tile(s) to frontend`);
@@ -274,8 +1391,8 @@ async function _loadFromImmichImpl(context) {
         }
       };
 
-      images = await immichApi.getAlbumAssetsForAlbumIds(albumIds, { onPage });
-      dlog(context, 'album assets total', images && images.length);
+      images = await fetchPaged({ onPage, withStacked, taken: dates });
+      dlog(context, `${cfg.source} assets total`, images && images.length);
 
       if (needsFinalSort) {
         // Single terminal emission for date/name sorts — the frontend receives
@@ -284,10 +1401,16 @@ async function _loadFromImmichImpl(context) {
       } else {
         // Already emitted progressively; suppress the terminal emission by using
         // the raw appended set for the tail-end no-op path.
-        return; // done — nothing more to do for progressive modes
+        rememberPool(context, streamed);
+        return null; // done — nothing more to do for progressive modes
       }
       // For final-sort modes, hand off to the shared path with the accumulated set.
       images = appendedRaw;
+      prefiltered = true;
+    } else if (cfg.source === 'tag') {
+      Log.error(LOG_PREFIX + 'Tag source specified but no tag found/selected (names are matched against the full tag path or its last part).');
+    } else if (cfg.source === 'place') {
+      Log.error(LOG_PREFIX + 'Place source specified but no `place` set, or no geotagged photos within it.');
     } else {
       Log.error(LOG_PREFIX + 'Album mode specified but no album found/selected.');
       // Try to help the user by listing available albums
@@ -304,28 +1427,49 @@ async function _loadFromImmichImpl(context) {
         Log.warn(LOG_PREFIX + 'Failed to list albums: ' + e.message);
       }
     }
+  } else if (folder) {
+    images = await immichApi.scan({
+      recursive: cfg.recursive,
+      imageExtensions: context.config.imageExtensions || [],
+      videoExtensions: context.config.videos && context.config.videos.enabled ? context.config.videoExtensions || [] : []
+    });
+    dlog(context, 'folder files count', images.length);
+  } else if (shared) {
+    images = await immichApi.getSharedLinkAssets();
+    dlog(context, 'shared link assets count', images.length);
   } else if (cfg.source === 'search') {
-    images = await immichApi.searchAssets(cfg.query, cfg.size);
+    images = await fetchWithPeople(people, query, (q) => immichApi.searchAssets(q, cfg.size));
+    // One query per person can overshoot `size`; keep the requested amount.
+    images = images.slice(0, cfg.size);
     dlog(context, 'search assets count', images && images.length);
   } else if (cfg.source === 'random') {
-    images = await immichApi.randomSearchAssets(cfg.size, cfg.query);
+    images = await fetchWithPeople(people, query, (q) => immichApi.randomSearchAssets(cfg.size, q));
+    images = shuffle(images).slice(0, cfg.size);
     dlog(context, 'random assets count', images && images.length);
   } else if (cfg.source === 'anniversary') {
-    images = await immichApi.anniversarySearchAssets(
+    images = await fetchWithPeople(people, query, (q) => immichApi.anniversarySearchAssets(
       cfg.anniversary.back,
       cfg.anniversary.forward,
       cfg.anniversary.startYear,
       cfg.anniversary.endYear,
       cfg.size,
-      cfg.query
-    );
+      q
+    ));
     dlog(context, 'anniversary assets count', images && images.length);
   } else {
-    // memory lane (default)
-    images = await immichApi.getMemoryLaneAssets(cfg.days);
-    dlog(context, 'memory lane assets count', images && images.length);
+    // memory lane (default): each asset carries the memory it belongs to,
+    // so the frontend can show a memory's photos together under its title.
+    const memories = await immichApi.getMemories(cfg.days);
+    for (const m of memories) {
+      const memory = { id: m.id, title: m.title, year: m.year, at: m.at };
+      m.assets.forEach((img) => (img.memory = memory));
+      images.push(...m.assets);
+    }
+    dlog(context, `memories: ${memories.length}, assets count`, images.length);
   }
 
+  if (!prefiltered) images = await filterAssets(images);
+
   // Filter by extension and kind
   if (images && images.length) {
     const before = images.length;
@@ -349,6 +1493,7 @@ async function _loadFromImmichImpl(context) {
     const isVideo = type.includes('video') || (!type && hasValidExt(name, validVideoSet));
     return toTileImage(img, immichApi, isVideo);
   });
+  boostFavorites(tiles, cfg);
   dlog(context, 'mapped tiles', tiles && tiles.length);
 
   // No server-side pool cap; all filtered media are returned.
@@ -373,10 +1518,27 @@ async function _loadFromImmichImpl(context) {
   }
   if (cfg.sortDesc === true) tiles.reverse();
   dlog(context, 'sorted tiles', cfg.sort, 'descending?', cfg.sortDesc, 'count', tiles && tiles.length);
+  tiles = orderByHistory(context, tiles);
+  if (cfg.source === 'memory') tiles = groupMemories(tiles);
 
-  // Send to client
-  Log.info(LOG_PREFIX + `Loaded ${tiles.length} image(s) for source=${cfg.source}`);
-  context.sendSocketNotification('IMMICH_TILES_DATA', { images: tiles });
+  return tiles;
+}
+
+/**
+ * Bring the tiles of each memory together, keeping the order in which the
+ * memories first appear and the order within each, so sorting and display
+ * history decide which memory comes first without splitting any.
+ * @param {TileImage[]} tiles
+ * @returns {TileImage[]}
+ */
+function groupMemories(tiles) {
+  const groups = new Map();
+  for (const tile of tiles) {
+    const key = tile.memory ? tile.memory.id : tile.src;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tile);
+  }
+  return [].concat(...groups.values());
 }
 
 // Bind to the module object
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const Module = require('module');
+
+// `logger` is provided by MagicMirror at runtime.
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  return request === 'logger' ? require.resolve('./support/logger.js') : resolve.call(this, request, ...rest);
+};
+const ImmichApi = require('../immichApi.js');
+
+test('init negotiates the API level up again after an outage', async () => {
+  let up = false;
+  const server = http.createServer((req, res) => {
+    if (up && req.url === '/api/server/version') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ major: 3, minor: 0, patch: 0 }));
+      return;
+    }
+    // A reverse proxy in front of a stopped server.
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  const config = { url: `http://127.0.0.1:${server.address().port}`, apiKey: 'k' };
+  const api = new ImmichApi('test', 0);
+  try {
+    await assert.rejects(api.init(config, null, true), /Failed to get Immich version/);
+    assert.strictEqual(api.apiLevel, 'v1_94');
+
+    up = true;
+    await api.init(config, null, true);
+    assert.strictEqual(api.apiLevel, 'v3_0');
+  } finally {
+    api.close();
+    server.close();
+  }
+});
@@ -0,0 +1,3 @@
+// Stand-in for MagicMirror's logger; keeps test output quiet.
+const noop = () => {};
+module.exports = { log: noop, info: noop, warn: noop, error: noop, debug: noop };